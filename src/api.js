@@ -0,0 +1,580 @@
+const express = require("express");
+const rateLimit = require("express-rate-limit");
+const db = require("./db");
+const { buildOpenApiDocument } = require("./openapi");
+
+const API_PAGE_SIZE = 20;
+const API_MAX_PAGE_SIZE = 50;
+const REPORT_TARGETS = ["post", "comment", "user"];
+
+function sendError(res, status, code, message, details) {
+  return res.status(status).json({ error: { code, message, ...(details ? { details } : {}) } });
+}
+
+function readId(value) {
+  const id = Number(value);
+  return Number.isInteger(id) && id > 0 ? id : null;
+}
+
+function readString(value) {
+  return typeof value === "string" ? value.trim() : "";
+}
+
+// Returns undefined for an absent limit and null for one that is out of range.
+function readLimit(value, max = API_MAX_PAGE_SIZE) {
+  if (value === undefined || value === "") return undefined;
+  const limit = Number(value);
+  return Number.isInteger(limit) && limit >= 1 && limit <= max ? limit : null;
+}
+
+// The JSON body accepts tags as an array or a comma-separated string and media as an array of objects, which is
+// what the form parsers in server.js expect after joining the tags.
+function toPostForm(body, current = {}) {
+  const has = (key) => Object.hasOwn(body, key);
+  let categoryId = has("category_id") ? body.category_id : current.category_id;
+  if (has("category")) {
+    const category = db.getCategoryBySlug(readString(body.category));
+    categoryId = category ? category.id : 0;
+  }
+  const tags = has("tags") ? body.tags : current.tags;
+  return {
+    category_id: categoryId,
+    title: has("title") ? String(body.title || "") : current.title,
+    markdown_body: has("markdown_body") ? String(body.markdown_body || "") : current.markdown_body,
+    tags: Array.isArray(tags) ? tags.map(String).join(",") : String(tags || ""),
+    media: has("media") ? body.media : current.media
+  };
+}
+
+function createApiRouter({ baseUrl, readPostForm, buildPostRecord, parseBlockedWord, hashToken }) {
+  const router = express.Router();
+
+  function absoluteUrl(url) {
+    return url && url.startsWith("/") ? `${baseUrl}${url}` : url || "";
+  }
+
+  function serializeAuthor(id, username, avatarUrl) {
+    return { id, username, avatar_url: absoluteUrl(avatarUrl) };
+  }
+
+  function serializePost(post, { full = false } = {}) {
+    return {
+      id: post.id,
+      url: `${baseUrl}${post.path}`,
+      title: post.title,
+      excerpt: post.excerpt,
+      ...(full ? { markdown_body: post.markdown_body, html: post.rendered_html } : {}),
+      status: post.status,
+      author: serializeAuthor(post.author_id, post.author_username, post.author_avatar_url),
+      category: { name: post.category_name, slug: post.category_slug },
+      tags: post.tags.map((tag) => ({ name: tag.name, slug: tag.slug })),
+      media: post.media_items.map((item) => ({
+        type: item.type,
+        url: absoluteUrl(item.url),
+        thumb_url: absoluteUrl(item.thumb_url),
+        caption: item.caption,
+        alt: item.alt
+      })),
+      reading_time_minutes: post.reading_time_minutes,
+      like_count: post.like_count,
+      comment_count: post.comment_count,
+      bookmark_count: post.bookmark_count,
+      liked_by_me: Boolean(post.liked_by_me),
+      bookmarked_by_me: Boolean(post.bookmarked_by_me),
+      is_hidden: Boolean(post.is_hidden),
+      created_at: post.created_at,
+      updated_at: post.updated_at,
+      published_at: post.published_at,
+      publish_at: post.publish_at
+    };
+  }
+
+  function serializeComment(comment) {
+    return {
+      id: comment.id,
+      post_id: comment.post_id,
+      parent_id: comment.parent_comment_id,
+      depth: comment.depth,
+      body: comment.body,
+      author: serializeAuthor(comment.author_id, comment.author_username, comment.author_avatar_url),
+      reactions: comment.reactions,
+      is_hidden: Boolean(comment.is_hidden),
+      created_at: comment.created_at
+    };
+  }
+
+  function serializeUser(user, { self = false } = {}) {
+    const counts = db.getFollowCounts(user.id);
+    return {
+      id: user.id,
+      username: user.username,
+      url: `${baseUrl}/u/${encodeURIComponent(user.username)}`,
+      bio: user.bio,
+      avatar_url: absoluteUrl(user.avatar_url),
+      follower_count: counts.followers,
+      following_count: counts.following,
+      created_at: user.created_at,
+      ...(self ? { email: user.email, email_verified: user.email_verified, role: user.role } : {})
+    };
+  }
+
+  function serializeReport(report) {
+    return {
+      id: report.id,
+      target_type: report.target_type,
+      target_id: report.target_id,
+      reason_code: report.reason_code,
+      reason_text: report.reason_text,
+      status: report.status,
+      created_at: report.created_at
+    };
+  }
+
+  function sendPage(res, result) {
+    return res.json({ data: result.items.map((post) => serializePost(post)), next_cursor: result.nextCursor });
+  }
+
+  function readPaging(req, res) {
+    const cursor = req.query.cursor === undefined ? null : readString(req.query.cursor);
+    if (cursor !== null && (!cursor || cursor.length > 512)) {
+      sendError(res, 400, "bad_request", "The cursor is not valid.");
+      return null;
+    }
+    const limit = readLimit(req.query.limit);
+    if (limit === null) {
+      sendError(res, 400, "bad_request", `limit must be an integer from 1 to ${API_MAX_PAGE_SIZE}.`);
+      return null;
+    }
+    return { cursor, pageSize: limit || API_PAGE_SIZE };
+  }
+
+  function viewerId(req) {
+    return req.apiUser ? req.apiUser.id : null;
+  }
+
+  function limiter(max, message) {
+    return rateLimit({
+      windowMs: Number(process.env.RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000,
+      max,
+      standardHeaders: true,
+      legacyHeaders: false,
+      handler(req, res) {
+        return sendError(res, 429, "rate_limited", message);
+      }
+    });
+  }
+
+  const readLimiter = limiter(Number(process.env.RATE_LIMIT_MAX_API_READS) || 600, "Too many requests. Slow down.");
+  const writeLimiter = limiter(Number(process.env.RATE_LIMIT_MAX_POSTS) || 40, "Action limited. Please slow down.");
+  const toggleLimiter = limiter(160, "Too many actions. Please wait and retry.");
+
+  function authenticate(req, res, next) {
+    req.apiUser = null;
+    const header = String(req.get("authorization") || "");
+    if (!header) return next();
+    const match = /^Bearer\s+(\S+)$/i.exec(header);
+    if (!match) {
+      return sendError(res, 401, "unauthorized", "Send the token as `Authorization: Bearer <token>`.");
+    }
+    const token = db.getActiveApiTokenByHash(hashToken(match[1]));
+    const user = token ? db.toPublicUser(db.getUserById(token.user_id)) : null;
+    if (!user || user.status !== "active") {
+      return sendError(res, 401, "unauthorized", "The access token is invalid or has been revoked.");
+    }
+    db.touchApiToken(token.id, req.ip);
+    req.apiUser = user;
+    req.apiToken = token;
+    return next();
+  }
+
+  function requireToken(req, res, next) {
+    if (!req.apiUser) {
+      res.set("WWW-Authenticate", 'Bearer realm="api"');
+      return sendError(res, 401, "unauthorized", "This endpoint needs a personal access token.");
+    }
+    return next();
+  }
+
+  function hasScope(req, scope) {
+    return Boolean(req.apiToken && req.apiToken.scopes.includes(scope));
+  }
+
+  function requireScope(scope) {
+    return (req, res, next) => {
+      if (!hasScope(req, scope)) {
+        res.set("WWW-Authenticate", `Bearer realm="api", error="insufficient_scope", scope="${scope}"`);
+        return sendError(res, 403, "forbidden", `This token lacks the "${scope}" scope.`, { required_scope: scope });
+      }
+      return next();
+    };
+  }
+
+  // Reads with a token see what its user sees (drafts, hidden posts for staff), so they need the read scope too.
+  function requireReadScope(req, res, next) {
+    if (req.apiUser && req.method === "GET") return requireScope("read")(req, res, next);
+    return next();
+  }
+
+  function requireModerator(req, res, next) {
+    if (!db.canUserModerate(req.apiUser)) {
+      return sendError(res, 403, "forbidden", "Only moderators can do this.");
+    }
+    return next();
+  }
+
+  function requireVerified(req, res, next) {
+    if (!req.apiUser.email_verified) {
+      return sendError(res, 403, "forbidden", "Verify your email address before writing through the API.");
+    }
+    return next();
+  }
+
+  const writer = [requireToken, requireScope("write"), requireVerified];
+  const moderator = [requireToken, requireScope("moderate"), requireModerator];
+
+  function findLivePost(req, res) {
+    const postId = readId(req.params.id);
+    const post = postId ? db.getPostByIdForModeration(postId) : null;
+    if (!post || !db.isPostLive(post)) {
+      sendError(res, 404, "not_found", "Post was not found.");
+      return null;
+    }
+    return post;
+  }
+
+  function findOwnPost(req, res) {
+    const postId = readId(req.params.id);
+    const post = postId ? db.getPostByIdForModeration(postId) : null;
+    if (!post || !db.getPostById({ postId, viewerId: req.apiUser.id })) {
+      sendError(res, 404, "not_found", "Post was not found.");
+      return null;
+    }
+    if (post.user_id !== req.apiUser.id) {
+      sendError(res, 403, "forbidden", "Only the author can change this post.");
+      return null;
+    }
+    return post;
+  }
+
+  function requireJsonBody(req, res, next) {
+    if (!req.is("application/json") || !req.body || typeof req.body !== "object" || Array.isArray(req.body)) {
+      return sendError(res, 400, "bad_request", "Send a JSON object with Content-Type: application/json.");
+    }
+    return next();
+  }
+
+  router.use(express.json({ limit: "1mb" }));
+  router.use(authenticate);
+  router.use(requireReadScope);
+  router.use(readLimiter);
+
+  router.get("/openapi.json", (req, res) => {
+    return res.json(buildOpenApiDocument({ baseUrl }));
+  });
+
+  router.get("/feed", (req, res) => {
+    const paging = readPaging(req, res);
+    if (!paging) return null;
+    const sort = readString(req.query.sort) || "new";
+    const period = readString(req.query.period) || "week";
+    if (!db.FEED_SORTS.includes(sort)) {
+      return sendError(res, 400, "bad_request", `sort must be one of: ${db.FEED_SORTS.join(", ")}.`);
+    }
+    if (!Object.hasOwn(db.FEED_PERIODS, period)) {
+      return sendError(res, 400, "bad_request", `period must be one of: ${Object.keys(db.FEED_PERIODS).join(", ")}.`);
+    }
+    const followingOnly = ["1", "true"].includes(readString(req.query.following));
+    if (followingOnly && !req.apiUser) {
+      return sendError(res, 401, "unauthorized", "following=true needs a personal access token.");
+    }
+    const result = db.getFeedPosts({
+      viewerId: viewerId(req),
+      categorySlug: readString(req.query.category),
+      tagSlug: readString(req.query.tag),
+      query: readString(req.query.q),
+      followingOnly,
+      sort,
+      period,
+      ...paging
+    });
+    return sendPage(res, result);
+  });
+
+  router.post("/posts", writer, writeLimiter, requireJsonBody, (req, res) => {
+    const { error, values } = readPostForm(toPostForm(req.body), { userId: req.apiUser.id });
+    if (error) return sendError(res, 422, "validation_failed", error);
+
+    let publishAt = null;
+    if (req.body.publish_at !== undefined && req.body.publish_at !== null) {
+      const time = new Date(String(req.body.publish_at)).getTime();
+      if (Number.isNaN(time) || time <= Date.now()) {
+        return sendError(res, 422, "validation_failed", "publish_at must be a date-time in the future.", {
+          field: "publish_at"
+        });
+      }
+      publishAt = new Date(time).toISOString();
+    }
+
+    const post = db.createPost({
+      user_id: req.apiUser.id,
+      ...buildPostRecord(values),
+      status: publishAt ? "scheduled" : "published",
+      publish_at: publishAt
+    });
+    const created = db.getPostById({ postId: post.id, viewerId: req.apiUser.id });
+    res.location(`${baseUrl}/api/v1/posts/${post.id}`);
+    return res.status(201).json({ data: serializePost(created, { full: true }) });
+  });
+
+  router.get("/posts/:id", (req, res) => {
+    const postId = readId(req.params.id);
+    const post = postId ? db.getPostById({ postId, viewerId: viewerId(req) }) : null;
+    if (!post) return sendError(res, 404, "not_found", "Post was not found.");
+    return res.json({ data: serializePost(post, { full: true }) });
+  });
+
+  router.patch("/posts/:id", writer, writeLimiter, requireJsonBody, (req, res) => {
+    const post = findOwnPost(req, res);
+    if (!post) return null;
+    const current = db.getPostById({ postId: post.id, viewerId: req.apiUser.id });
+    const { error, values } = readPostForm(
+      toPostForm(req.body, {
+        category_id: post.category_id,
+        title: current.title,
+        markdown_body: current.markdown_body,
+        tags: current.tags.map((tag) => tag.name),
+        media: current.media_items
+      }),
+      { userId: req.apiUser.id }
+    );
+    if (error) return sendError(res, 422, "validation_failed", error);
+
+    db.updatePost(post.id, { editor_user_id: req.apiUser.id, ...buildPostRecord(values) });
+    const updated = db.getPostById({ postId: post.id, viewerId: req.apiUser.id });
+    return res.json({ data: serializePost(updated, { full: true }) });
+  });
+
+  router.delete("/posts/:id", writer, writeLimiter, (req, res) => {
+    const post = findOwnPost(req, res);
+    if (!post) return null;
+    if (post.is_hidden) {
+      return sendError(res, 403, "forbidden", "A post hidden by moderators cannot be deleted.");
+    }
+    db.deletePost(post.id);
+    return res.status(204).end();
+  });
+
+  router.get("/posts/:id/comments", (req, res) => {
+    const postId = readId(req.params.id);
+    const post = postId ? db.getPostById({ postId, viewerId: viewerId(req) }) : null;
+    if (!post) return sendError(res, 404, "not_found", "Post was not found.");
+    const comments = db.getPostComments(postId, viewerId(req));
+    return res.json({ data: comments.map(serializeComment), next_cursor: null });
+  });
+
+  router.post("/posts/:id/comments", writer, writeLimiter, requireJsonBody, (req, res) => {
+    const post = findLivePost(req, res);
+    if (!post) return null;
+    const body = readString(req.body.body);
+    if (body.length < 2 || body.length > 1500) {
+      return sendError(res, 422, "validation_failed", "Comment must be 2 to 1500 characters.", { field: "body" });
+    }
+    const blocked = parseBlockedWord(body);
+    if (blocked) {
+      return sendError(res, 422, "validation_failed", `Blocked content detected: "${blocked}".`, { field: "body" });
+    }
+    let parentId = null;
+    if (req.body.parent_id !== undefined && req.body.parent_id !== null) {
+      parentId = readId(req.body.parent_id);
+      const parent = parentId ? db.getCommentRawById(parentId) : null;
+      if (!parent || parent.post_id !== post.id) {
+        return sendError(res, 422, "validation_failed", "Parent comment was not found on this post.", {
+          field: "parent_id"
+        });
+      }
+    }
+
+    const comment = db.addComment({ user_id: req.apiUser.id, post_id: post.id, body, parent_comment_id: parentId });
+    const created = db.getPostComments(post.id, req.apiUser.id).find((item) => item.id === comment.id);
+    return res.status(201).json({ data: serializeComment(created) });
+  });
+
+  function toggleRoute(has, toggle, countKey) {
+    return (active) => (req, res) => {
+      const post = findLivePost(req, res);
+      if (!post) return null;
+      const key = { userId: req.apiUser.id, postId: post.id };
+      if (has(key) !== active) toggle(key);
+      const current = db.getPostById({ postId: post.id, viewerId: req.apiUser.id });
+      return res.json({ data: { post_id: post.id, active, count: current[countKey] } });
+    };
+  }
+
+  const likeRoute = toggleRoute(db.hasLike, db.toggleLike, "like_count");
+  const bookmarkRoute = toggleRoute(db.hasBookmark, db.toggleBookmark, "bookmark_count");
+  router.put("/posts/:id/like", writer, toggleLimiter, likeRoute(true));
+  router.delete("/posts/:id/like", writer, toggleLimiter, likeRoute(false));
+  router.put("/posts/:id/bookmark", writer, toggleLimiter, bookmarkRoute(true));
+  router.delete("/posts/:id/bookmark", writer, toggleLimiter, bookmarkRoute(false));
+
+  router.get("/me", requireToken, (req, res) => {
+    return res.json({ data: serializeUser(req.apiUser, { self: true }) });
+  });
+
+  router.get("/me/bookmarks", requireToken, (req, res) => {
+    const paging = readPaging(req, res);
+    if (!paging) return null;
+    return sendPage(res, db.getUserBookmarks(req.apiUser.id, paging));
+  });
+
+  router.get("/users/:username", (req, res) => {
+    const user = db.toPublicUser(db.getUserByUsername(req.params.username));
+    if (!user) return sendError(res, 404, "not_found", "User was not found.");
+    return res.json({ data: serializeUser(user) });
+  });
+
+  router.get("/users/:username/posts", (req, res) => {
+    const user = db.getUserByUsername(req.params.username);
+    if (!user) return sendError(res, 404, "not_found", "User was not found.");
+    const paging = readPaging(req, res);
+    if (!paging) return null;
+    return sendPage(res, db.getUserPostsPage(user.id, viewerId(req), paging));
+  });
+
+  router.get("/tags", (req, res) => {
+    const limit = readLimit(req.query.limit);
+    if (limit === null) {
+      return sendError(res, 400, "bad_request", `limit must be an integer from 1 to ${API_MAX_PAGE_SIZE}.`);
+    }
+    const text = readString(req.query.q);
+    const tags = text
+      ? db.searchTags(text, { limit: limit || API_PAGE_SIZE })
+      : db.getPopularTags(limit || API_PAGE_SIZE);
+    return res.json({
+      data: tags.map((tag) => ({ name: tag.name, slug: tag.slug, usage_count: tag.usage_count })),
+      next_cursor: null
+    });
+  });
+
+  router.get("/tags/:slug", (req, res) => {
+    const slug = readString(req.params.slug).toLowerCase();
+    const tag = slug ? db.getTagSummary(slug) : null;
+    if (!tag) return sendError(res, 404, "not_found", "Tag was not found.");
+    return res.json({ data: { name: tag.name, slug: tag.slug, usage_count: tag.usage_count } });
+  });
+
+  router.post("/reports", writer, writeLimiter, requireJsonBody, (req, res) => {
+    const targetType = readString(req.body.target_type);
+    const targetId = readId(req.body.target_id);
+    const reasonCode = readString(req.body.reason_code) || "other";
+    const reasonText = readString(req.body.reason_text);
+    if (!REPORT_TARGETS.includes(targetType) || !targetId) {
+      return sendError(res, 422, "validation_failed", "Invalid report target.", {
+        field: targetId ? "target_type" : "target_id"
+      });
+    }
+    if (!db.REPORT_REASONS.includes(reasonCode)) {
+      return sendError(res, 422, "validation_failed", `reason_code must be one of: ${db.REPORT_REASONS.join(", ")}.`, {
+        field: "reason_code"
+      });
+    }
+    if (reasonText.length > 500) {
+      return sendError(res, 422, "validation_failed", "Report note is too long.", { field: "reason_text" });
+    }
+    const blocked = parseBlockedWord(reasonText);
+    if (blocked) {
+      return sendError(res, 422, "validation_failed", `Blocked content detected: "${blocked}".`, {
+        field: "reason_text"
+      });
+    }
+
+    const targetExists = {
+      post: () => db.getPostByIdForModeration(targetId),
+      comment: () => db.getCommentRawById(targetId),
+      user: () => db.getUserById(targetId)
+    }[targetType]();
+    if (!targetExists) {
+      return sendError(res, 404, "not_found", "The content you are reporting was not found.");
+    }
+
+    const report = db.createReport({
+      reporter_user_id: req.apiUser.id,
+      target_type: targetType,
+      target_id: targetId,
+      reason_code: reasonCode,
+      reason_text: reasonText
+    });
+    return res.status(201).json({ data: serializeReport(report) });
+  });
+
+  router.get("/moderation/reports", moderator, (req, res) => {
+    const status = readString(req.query.status) || "open";
+    if (status !== "all" && !db.REPORT_STATUS.includes(status)) {
+      return sendError(res, 400, "bad_request", `status must be "all" or one of: ${db.REPORT_STATUS.join(", ")}.`);
+    }
+    const limit = readLimit(req.query.limit);
+    if (limit === null) {
+      return sendError(res, 400, "bad_request", `limit must be an integer from 1 to ${API_MAX_PAGE_SIZE}.`);
+    }
+    const reports = db.getReports({ status, page: 1, pageSize: limit || API_PAGE_SIZE });
+    return res.json({
+      data: reports.items.map((report) => ({
+        ...serializeReport(report),
+        reporter: report.reporter_username,
+        assignee: report.assignee_username || null
+      })),
+      next_cursor: null
+    });
+  });
+
+  function moderationRoute(targetType, action) {
+    const apply = {
+      "post.hide": db.hidePost,
+      "post.unhide": db.unhidePost,
+      "comment.hide": db.hideComment,
+      "comment.unhide": db.unhideComment
+    }[`${targetType}.${action}`];
+    return (req, res) => {
+      const targetId = readId(req.params.id);
+      const reason = req.body && typeof req.body === "object" ? readString(req.body.reason).slice(0, 500) : "";
+      const target = targetId ? apply(targetId, reason) : null;
+      if (!target) return sendError(res, 404, "not_found", `The ${targetType} was not found.`);
+      db.addModerationAction({
+        actor_user_id: req.apiUser.id,
+        action_type: `${targetType}.${action}`,
+        target_type: targetType,
+        target_id: targetId,
+        notes: reason
+      });
+      return res.json({ data: { id: target.id, type: targetType, is_hidden: Boolean(target.is_hidden) } });
+    };
+  }
+
+  router.post("/moderation/posts/:id/hide", moderator, writeLimiter, moderationRoute("post", "hide"));
+  router.post("/moderation/posts/:id/unhide", moderator, writeLimiter, moderationRoute("post", "unhide"));
+  router.post("/moderation/comments/:id/hide", moderator, writeLimiter, moderationRoute("comment", "hide"));
+  router.post("/moderation/comments/:id/unhide", moderator, writeLimiter, moderationRoute("comment", "unhide"));
+
+  router.use((req, res) => {
+    return sendError(res, 404, "not_found", `No API route for ${req.method} ${req.baseUrl}${req.path}.`);
+  });
+
+  // eslint-disable-next-line no-unused-vars
+  router.use((error, req, res, next) => {
+    if (error.type === "entity.parse.failed") {
+      return sendError(res, 400, "bad_request", "The request body is not valid JSON.");
+    }
+    if (error.type === "entity.too.large") {
+      return sendError(res, 413, "payload_too_large", "The request body is too large.");
+    }
+    // eslint-disable-next-line no-console
+    console.error(error);
+    return sendError(res, 500, "internal_error", "Something went wrong.");
+  });
+
+  return router;
+}
+
+module.exports = {
+  createApiRouter
+};
@@ -1,16 +1,46 @@
-const fs = require("fs");
 const path = require("path");
+const { findMentionNames } = require("./mentions");
+const { createStorage } = require("./storage");
+const search = require("./search");
+const { slugify, uniqueSlug } = require("./slugs");
 
-const SCHEMA_VERSION = 2;
+const SCHEMA_VERSION = 6;
 const MAX_PAGE_SIZE = 30;
+const SEARCH_SORTS = ["relevance", "newest", "likes"];
 const REACTIONS = ["like", "heart", "fire", "clap"];
 const ROLES = ["user", "moderator", "admin"];
 const USER_STATUS = ["active", "suspended", "banned"];
 const REPORT_STATUS = ["open", "in_review", "resolved", "dismissed"];
 const REPORT_TARGETS = ["post", "comment", "user"];
+const REPORT_REASONS = ["spam", "abuse", "harassment", "illegal", "other"];
+const POST_STATUS = ["draft", "scheduled", "published"];
+const MEDIA_TYPES = ["image", "video"];
+const MAX_MEDIA_ITEMS = 12;
+const SUBSCRIPTION_TARGETS = ["category", "tag"];
+const NOTIFICATION_TYPES = ["like", "comment", "reply", "bookmark", "follow", "new_post", "mention", "moderation"];
+const NOTIFICATION_DELIVERY = ["in_app", "instant", "digest", "off"];
+const TOKEN_SCOPES = ["read", "write", "moderate"];
+const WEBHOOK_EVENTS = ["post.created", "comment.created", "report.created", "moderation.action"];
+// Failed deliveries are retried after 30s, 1m, 2m, ... up to WEBHOOK_MAX_ATTEMPTS tries, then marked failed.
+const WEBHOOK_RETRY_BASE_MS = 30 * 1000;
+const WEBHOOK_MAX_ATTEMPTS = 8;
+const WEBHOOK_LOG_RETENTION_MS = 14 * 24 * 60 * 60 * 1000;
+// Last-used time and IP are saved at most this often per token, so API traffic does not turn into a write per request.
+const TOKEN_TOUCH_INTERVAL_MS = 60 * 1000;
+const DIGEST_INTERVAL_MS = 24 * 60 * 60 * 1000;
+const FEED_SORTS = ["new", "hot", "top", "discussed"];
+const FEED_PERIODS = {
+  day: 24 * 60 * 60 * 1000,
+  week: 7 * 24 * 60 * 60 * 1000,
+  month: 30 * 24 * 60 * 60 * 1000,
+  all: null
+};
+// Hot score = engagement / (age in hours + 2) ^ gravity; a higher gravity makes posts sink faster.
+const HOT_GRAVITY = 1.5;
+const POST_SLUG_MAX_LENGTH = 60;
 
 const dataDir = path.join(__dirname, "..", "data");
-const dbPath = path.join(dataDir, "app.json");
+const storage = createStorage({ dataDir });
 
 const categorySeed = [
   {
@@ -57,6 +87,11 @@ const categorySeed = [
   }
 ];
 
+function keepThumb(currentUrl, currentThumb, nextUrl, nextThumb) {
+  if (nextThumb !== undefined) return String(nextThumb || "");
+  return String(nextUrl || "") === currentUrl ? currentThumb || "" : "";
+}
+
 function nowIso() {
   return new Date().toISOString();
 }
@@ -65,12 +100,14 @@ function padId(value) {
   return String(Number(value) || 0).padStart(10, "0");
 }
 
-function slugify(input) {
-  return String(input || "")
-    .toLowerCase()
-    .trim()
-    .replace(/[^a-z0-9]+/g, "-")
-    .replace(/^-+|-+$/g, "");
+// Post URLs carry a slug of the current title; the id alone identifies the post, so old slugs keep resolving.
+function postSlug(post) {
+  return slugify(post.title, { maxLength: POST_SLUG_MAX_LENGTH });
+}
+
+function postPath(post) {
+  const slug = postSlug(post);
+  return slug ? `/posts/${post.id}-${encodeURIComponent(slug)}` : `/posts/${post.id}`;
 }
 
 function normalizeText(input) {
@@ -97,6 +134,40 @@ function isReaction(value) {
   return REACTIONS.includes(value);
 }
 
+function isPostStatus(value) {
+  return POST_STATUS.includes(value);
+}
+
+function normalizeMediaItems(items) {
+  if (!Array.isArray(items)) return [];
+  return items
+    .map((item) => ({
+      type: MEDIA_TYPES.includes(item && item.type) ? item.type : "image",
+      url: String((item && item.url) || "").trim(),
+      thumb_url: String((item && item.thumb_url) || "").trim(),
+      caption: String((item && item.caption) || "").trim(),
+      alt: String((item && item.alt) || "").trim()
+    }))
+    .filter((item) => item.url)
+    .slice(0, MAX_MEDIA_ITEMS);
+}
+
+function legacyMediaItems(record) {
+  if (!record.media_url || !MEDIA_TYPES.includes(record.media_type)) return [];
+  return normalizeMediaItems([
+    { type: record.media_type, url: record.media_url, thumb_url: record.media_thumb_url }
+  ]);
+}
+
+function normalizeNotificationPrefs(raw) {
+  const source = raw && typeof raw === "object" ? raw : {};
+  const prefs = {};
+  for (const type of NOTIFICATION_TYPES) {
+    prefs[type] = NOTIFICATION_DELIVERY.includes(source[type]) ? source[type] : "in_app";
+  }
+  return prefs;
+}
+
 function baseState() {
   return {
     schema_version: SCHEMA_VERSION,
@@ -107,10 +178,19 @@ function baseState() {
       likes: 0,
       comments: 0,
       tags: 0,
+      post_tags: 0,
       bookmarks: 0,
       comment_reactions: 0,
       reports: 0,
-      moderation_actions: 0
+      moderation_actions: 0,
+      post_revisions: 0,
+      follows: 0,
+      topic_subscriptions: 0,
+      notifications: 0,
+      user_blocks: 0,
+      api_tokens: 0,
+      webhooks: 0,
+      webhook_deliveries: 0
     },
     users: [],
     categories: [],
@@ -123,19 +203,20 @@ function baseState() {
     comment_reactions: [],
     reports: [],
     moderation_actions: [],
+    post_revisions: [],
+    follows: [],
+    topic_subscriptions: [],
+    notifications: [],
+    user_blocks: [],
+    api_tokens: [],
+    webhooks: [],
+    webhook_deliveries: [],
     search_index_meta: {
       last_rebuild_at: null
     }
   };
 }
 
-function ensureDataFile() {
-  fs.mkdirSync(dataDir, { recursive: true });
-  if (!fs.existsSync(dbPath)) {
-    fs.writeFileSync(dbPath, JSON.stringify(baseState(), null, 2));
-  }
-}
-
 function sanitizeState(raw) {
   const next = baseState();
   const source = raw && typeof raw === "object" ? raw : {};
@@ -152,6 +233,14 @@ function sanitizeState(raw) {
   next.comment_reactions = Array.isArray(source.comment_reactions) ? source.comment_reactions : [];
   next.reports = Array.isArray(source.reports) ? source.reports : [];
   next.moderation_actions = Array.isArray(source.moderation_actions) ? source.moderation_actions : [];
+  next.post_revisions = Array.isArray(source.post_revisions) ? source.post_revisions : [];
+  next.follows = Array.isArray(source.follows) ? source.follows : [];
+  next.topic_subscriptions = Array.isArray(source.topic_subscriptions) ? source.topic_subscriptions : [];
+  next.notifications = Array.isArray(source.notifications) ? source.notifications : [];
+  next.user_blocks = Array.isArray(source.user_blocks) ? source.user_blocks : [];
+  next.api_tokens = Array.isArray(source.api_tokens) ? source.api_tokens : [];
+  next.webhooks = Array.isArray(source.webhooks) ? source.webhooks : [];
+  next.webhook_deliveries = Array.isArray(source.webhook_deliveries) ? source.webhook_deliveries : [];
   next.search_index_meta = {
     ...next.search_index_meta,
     ...(source.search_index_meta && typeof source.search_index_meta === "object"
@@ -183,6 +272,7 @@ function hydrateCounters(current) {
   current.counters.likes = Math.max(toInt(current.counters.likes), maxId(current.likes));
   current.counters.comments = Math.max(toInt(current.counters.comments), maxId(current.comments));
   current.counters.tags = Math.max(toInt(current.counters.tags), maxId(current.tags));
+  current.counters.post_tags = Math.max(toInt(current.counters.post_tags), maxId(current.post_tags));
   current.counters.bookmarks = Math.max(toInt(current.counters.bookmarks), maxId(current.bookmarks));
   current.counters.comment_reactions = Math.max(
     toInt(current.counters.comment_reactions),
@@ -193,31 +283,75 @@ function hydrateCounters(current) {
     toInt(current.counters.moderation_actions),
     maxId(current.moderation_actions)
   );
+  current.counters.post_revisions = Math.max(
+    toInt(current.counters.post_revisions),
+    maxId(current.post_revisions)
+  );
+  current.counters.follows = Math.max(toInt(current.counters.follows), maxId(current.follows));
+  current.counters.topic_subscriptions = Math.max(
+    toInt(current.counters.topic_subscriptions),
+    maxId(current.topic_subscriptions)
+  );
+  current.counters.notifications = Math.max(toInt(current.counters.notifications), maxId(current.notifications));
+  current.counters.user_blocks = Math.max(toInt(current.counters.user_blocks), maxId(current.user_blocks));
+  current.counters.api_tokens = Math.max(toInt(current.counters.api_tokens), maxId(current.api_tokens));
+  current.counters.webhooks = Math.max(toInt(current.counters.webhooks), maxId(current.webhooks));
+  current.counters.webhook_deliveries = Math.max(
+    toInt(current.counters.webhook_deliveries),
+    maxId(current.webhook_deliveries)
+  );
 }
 
 let state = baseState();
+let indexes = null;
+const searchIndex = search.createSearchIndex();
+const railCache = new Map();
+const RAIL_CACHE_TTL_MS = 60 * 1000;
+// The sidebar rails (trending posts, top creators, popular tags) only read these collections.
+const RAIL_COLLECTIONS = new Set(["users", "posts", "likes", "comments", "follows", "tags", "post_tags"]);
+
+// Rows written since the last save, per collection: id -> row, or null once deleted.
+let changedRows = new Map();
+
+// Call after updating a row in place. Of the indexed fields only a post's timestamps ever change after insert.
+function markChanged(collection, row) {
+  if (collection === "posts" && indexes) {
+    removePostByTime(row);
+    insertPostByTime(row);
+  }
+  bucketOf(changedRows, collection, () => new Map()).set(row.id, row);
+}
 
-const writeQueue = [];
-let isWriting = false;
-
-function writeAtomic(payload) {
-  const tempPath = `${dbPath}.tmp`;
-  fs.writeFileSync(tempPath, payload);
-  fs.renameSync(tempPath, dbPath);
+function insertRow(collection, row) {
+  state[collection].push(row);
+  indexRow(collection, row, true);
+  bucketOf(changedRows, collection, () => new Map()).set(row.id, row);
+  return row;
 }
 
-function flushWriteQueue() {
-  if (isWriting) return;
-  isWriting = true;
-  while (writeQueue.length > 0) {
-    writeAtomic(writeQueue.shift());
-  }
-  isWriting = false;
+function removeRows(collection, predicate) {
+  const removed = [];
+  state[collection] = state[collection].filter((row) => {
+    if (!predicate(row)) return true;
+    removed.push(row);
+    indexRow(collection, row, false);
+    bucketOf(changedRows, collection, () => new Map()).set(row.id, null);
+    return false;
+  });
+  return removed;
 }
 
+// Rail aggregates are dropped when a write touches what they are computed from; otherwise they expire after a TTL.
 function enqueueWrite() {
-  writeQueue.push(JSON.stringify(state, null, 2));
-  flushWriteQueue();
+  const changes = changedRows;
+  changedRows = new Map();
+  if ([...changes.keys()].some((collection) => RAIL_COLLECTIONS.has(collection))) railCache.clear();
+  storage.save(state, changes);
+}
+
+// Folds the JSON journal into a fresh app.json snapshot; a no-op for adapters without a journal.
+function compactStorage() {
+  return storage.compact ? storage.compact() : false;
 }
 
 function nextId(entity) {
@@ -225,6 +359,11 @@ function nextId(entity) {
   return state.counters[entity];
 }
 
+function avatarThumb(user) {
+  if (!user) return "";
+  return user.avatar_thumb_url || user.avatar_url || "";
+}
+
 function toPublicUser(user) {
   if (!user) return null;
   return {
@@ -233,10 +372,12 @@ function toPublicUser(user) {
     email: user.email,
     bio: user.bio || "",
     avatar_url: user.avatar_url || "",
+    avatar_thumb_url: avatarThumb(user),
     created_at: user.created_at,
     role: user.role || "user",
     status: user.status || "active",
-    email_verified: Boolean(user.email_verified)
+    email_verified: Boolean(user.email_verified),
+    locale: user.locale || ""
   };
 }
 
@@ -300,6 +441,7 @@ function migrateState() {
     user.password_hash = String(user.password_hash || "");
     user.bio = String(user.bio || "");
     user.avatar_url = String(user.avatar_url || "");
+    user.avatar_thumb_url = String(user.avatar_thumb_url || "");
     user.created_at = user.created_at || nowIso();
     user.role = isRole(user.role) ? user.role : "user";
     user.status = isUserStatus(user.status) ? user.status : "active";
@@ -310,24 +452,28 @@ function migrateState() {
     user.verification_expires_at = user.verification_expires_at || null;
     user.reset_token_hash = user.reset_token_hash || null;
     user.reset_expires_at = user.reset_expires_at || null;
+    user.notification_prefs = normalizeNotificationPrefs(user.notification_prefs);
+    user.last_digest_at = user.last_digest_at || null;
+    // An empty locale means the interface language follows the browser's Accept-Language header.
+    user.locale = String(user.locale || "");
     if (!hasAdmin && i === 0) {
       user.role = "admin";
     }
   }
 
-  const categorySeen = new Set();
+  const categorySlugs = new Set();
   state.categories = state.categories
     .map((category, index) => ({
       id: toInt(category.id),
       name: String(category.name || `Category ${index + 1}`),
-      slug: slugify(category.slug || category.name || `category-${index + 1}`),
+      slug: slugify(category.slug || category.name) || `category-${index + 1}`,
       description: String(category.description || ""),
       sort_order: Number(category.sort_order || index + 1)
     }))
-    .filter((category) => {
-      if (!category.slug || categorySeen.has(category.slug)) return false;
-      categorySeen.add(category.slug);
-      return true;
+    .map((category) => {
+      category.slug = uniqueSlug(category.slug, (slug) => categorySlugs.has(slug));
+      categorySlugs.add(category.slug);
+      return category;
     });
 
   for (const post of state.posts) {
@@ -340,11 +486,19 @@ function migrateState() {
     post.rendered_html = String(post.rendered_html || "");
     post.excerpt = String(post.excerpt || summarize(post.markdown_body));
     post.reading_time_minutes = Number(post.reading_time_minutes || computeReadingTime(post.markdown_body));
-    post.media_url = String(post.media_url || "");
-    post.media_type = ["none", "image", "video"].includes(post.media_type) ? post.media_type : "none";
+    post.media_items = Array.isArray(post.media_items)
+      ? normalizeMediaItems(post.media_items)
+      : legacyMediaItems(post);
+    delete post.media_url;
+    delete post.media_thumb_url;
+    delete post.media_type;
     post.is_hidden = Boolean(post.is_hidden);
     post.hidden_reason = String(post.hidden_reason || "");
     post.created_at = post.created_at || nowIso();
+    post.updated_at = post.updated_at || null;
+    post.status = isPostStatus(post.status) ? post.status : "published";
+    post.publish_at = post.status === "scheduled" ? post.publish_at || post.created_at : null;
+    post.published_at = post.status === "published" ? post.published_at || post.created_at : null;
   }
 
   state.likes = state.likes
@@ -382,30 +536,52 @@ function migrateState() {
     }
   }
 
-  const tagSeen = new Set();
+  // Merges tags whose names differ only in case; before schema 6, Cyrillic tag slugs are rebuilt from the names.
+  const repairSlugs = state.schema_version < 6;
+  const tagsByName = new Map();
+  const tagSlugs = new Set();
+  const mergedTagIds = new Map();
   state.tags = state.tags
-    .map((tag) => {
-      const name = String(tag.name || "").trim();
-      const slug = slugify(tag.slug || name);
-      return {
-        id: toInt(tag.id),
-        name: name || slug,
-        slug,
-        created_at: tag.created_at || nowIso()
-      };
-    })
+    .map((tag) => ({
+      id: toInt(tag.id),
+      name: String(tag.name || "").trim() || String(tag.slug || "").trim(),
+      slug: String(tag.slug || ""),
+      created_at: tag.created_at || nowIso()
+    }))
+    .sort((a, b) => a.id - b.id)
     .filter((tag) => {
-      if (!tag.id || !tag.slug || tagSeen.has(tag.slug)) return false;
-      tagSeen.add(tag.slug);
+      const base = slugify(repairSlugs || !tag.slug ? tag.name : tag.slug);
+      if (!tag.id || !base) return false;
+      const kept = tagsByName.get(normalizeText(tag.name));
+      if (kept) {
+        mergedTagIds.set(tag.id, kept.id);
+        return false;
+      }
+      tag.slug = uniqueSlug(base, (slug) => tagSlugs.has(slug));
+      tagSlugs.add(tag.slug);
+      tagsByName.set(normalizeText(tag.name), tag);
       return true;
     });
 
+  // Storage adapters only persist rows with an id; post-tag links used to be saved without one.
+  const postTagSeen = new Set();
+  const tagIds = new Set(state.tags.map((tag) => tag.id));
+  let lastPostTagId = maxId(state.post_tags);
   state.post_tags = state.post_tags
     .map((relation) => ({
+      id: toInt(relation.id),
       post_id: toInt(relation.post_id),
-      tag_id: toInt(relation.tag_id)
+      tag_id: mergedTagIds.get(toInt(relation.tag_id)) || toInt(relation.tag_id)
     }))
-    .filter((relation) => relation.post_id > 0 && relation.tag_id > 0);
+    .sort((a, b) => Number(b.id > 0) - Number(a.id > 0))
+    .filter((relation) => {
+      if (relation.post_id <= 0 || !tagIds.has(relation.tag_id)) return false;
+      const key = `${relation.post_id}:${relation.tag_id}`;
+      if (postTagSeen.has(key)) return false;
+      postTagSeen.add(key);
+      return true;
+    })
+    .map((relation) => (relation.id > 0 ? relation : { ...relation, id: (lastPostTagId += 1) }));
 
   state.bookmarks = state.bookmarks
     .map((bookmark) => ({
@@ -453,38 +629,427 @@ function migrateState() {
     }))
     .filter((action) => action.id > 0 && action.actor_user_id > 0 && action.target_id > 0);
 
+  state.post_revisions = state.post_revisions
+    .map((revision) => ({
+      id: toInt(revision.id),
+      post_id: toInt(revision.post_id),
+      editor_user_id: toInt(revision.editor_user_id),
+      category_id: toInt(revision.category_id),
+      title: String(revision.title || ""),
+      markdown_body: String(revision.markdown_body || ""),
+      media_items: Array.isArray(revision.media_items)
+        ? normalizeMediaItems(revision.media_items)
+        : legacyMediaItems(revision),
+      tag_names: Array.isArray(revision.tag_names) ? revision.tag_names.map(String) : [],
+      created_at: revision.created_at || nowIso()
+    }))
+    .filter((revision) => revision.id > 0 && revision.post_id > 0);
+
+  const followSeen = new Set();
+  state.follows = state.follows
+    .map((follow) => ({
+      id: toInt(follow.id),
+      follower_user_id: toInt(follow.follower_user_id),
+      followed_user_id: toInt(follow.followed_user_id),
+      created_at: follow.created_at || nowIso()
+    }))
+    .filter((follow) => {
+      if (follow.id <= 0 || follow.follower_user_id <= 0 || follow.followed_user_id <= 0) return false;
+      if (follow.follower_user_id === follow.followed_user_id) return false;
+      const key = `${follow.follower_user_id}:${follow.followed_user_id}`;
+      if (followSeen.has(key)) return false;
+      followSeen.add(key);
+      return true;
+    });
+
+  const subscriptionSeen = new Set();
+  state.topic_subscriptions = state.topic_subscriptions
+    .map((subscription) => ({
+      id: toInt(subscription.id),
+      user_id: toInt(subscription.user_id),
+      target_type: String(subscription.target_type || ""),
+      target_id:
+        subscription.target_type === "tag"
+          ? mergedTagIds.get(toInt(subscription.target_id)) || toInt(subscription.target_id)
+          : toInt(subscription.target_id),
+      created_at: subscription.created_at || nowIso()
+    }))
+    .filter((subscription) => {
+      if (subscription.id <= 0 || subscription.user_id <= 0 || subscription.target_id <= 0) return false;
+      if (!SUBSCRIPTION_TARGETS.includes(subscription.target_type)) return false;
+      const key = `${subscription.user_id}:${subscription.target_type}:${subscription.target_id}`;
+      if (subscriptionSeen.has(key)) return false;
+      subscriptionSeen.add(key);
+      return true;
+    });
+
+  state.notifications = state.notifications
+    .map((notification) => ({
+      id: toInt(notification.id),
+      user_id: toInt(notification.user_id),
+      actor_user_id: toInt(notification.actor_user_id),
+      type: String(notification.type || ""),
+      post_id: notification.post_id ? toInt(notification.post_id) : null,
+      comment_id: notification.comment_id ? toInt(notification.comment_id) : null,
+      detail: String(notification.detail || ""),
+      delivery: NOTIFICATION_DELIVERY.includes(notification.delivery) ? notification.delivery : "in_app",
+      created_at: notification.created_at || nowIso(),
+      read_at: notification.read_at || null,
+      emailed_at: notification.emailed_at || null
+    }))
+    .filter(
+      (notification) =>
+        notification.id > 0 && notification.user_id > 0 && NOTIFICATION_TYPES.includes(notification.type)
+    );
+  if (state.schema_version < 5) {
+    backfillNotifications();
+  }
+
+  const blockSeen = new Set();
+  state.user_blocks = state.user_blocks
+    .map((block) => ({
+      id: toInt(block.id),
+      blocker_user_id: toInt(block.blocker_user_id),
+      blocked_user_id: toInt(block.blocked_user_id),
+      created_at: block.created_at || nowIso()
+    }))
+    .filter((block) => {
+      if (block.id <= 0 || block.blocker_user_id <= 0 || block.blocked_user_id <= 0) return false;
+      if (block.blocker_user_id === block.blocked_user_id) return false;
+      const key = `${block.blocker_user_id}:${block.blocked_user_id}`;
+      if (blockSeen.has(key)) return false;
+      blockSeen.add(key);
+      return true;
+    });
+
+  const tokenHashSeen = new Set();
+  state.api_tokens = state.api_tokens
+    .map((token) => ({
+      id: toInt(token.id),
+      user_id: toInt(token.user_id),
+      name: String(token.name || "API token").slice(0, 60),
+      token_hash: String(token.token_hash || ""),
+      // Tokens from before scopes existed could read and write.
+      scopes: Array.isArray(token.scopes)
+        ? TOKEN_SCOPES.filter((scope) => token.scopes.includes(scope))
+        : ["read", "write"],
+      created_at: token.created_at || nowIso(),
+      last_used_at: token.last_used_at || null,
+      last_used_ip: String(token.last_used_ip || ""),
+      revoked_at: token.revoked_at || null
+    }))
+    .filter((token) => {
+      if (token.id <= 0 || token.user_id <= 0 || !token.token_hash) return false;
+      if (tokenHashSeen.has(token.token_hash)) return false;
+      tokenHashSeen.add(token.token_hash);
+      return true;
+    });
+
+  state.webhooks = state.webhooks
+    .map((webhook) => ({
+      id: toInt(webhook.id),
+      url: String(webhook.url || ""),
+      description: String(webhook.description || "").slice(0, 200),
+      secret: String(webhook.secret || ""),
+      events: Array.isArray(webhook.events) ? WEBHOOK_EVENTS.filter((event) => webhook.events.includes(event)) : [],
+      active: webhook.active !== false,
+      created_by_user_id: toInt(webhook.created_by_user_id) || null,
+      created_at: webhook.created_at || nowIso()
+    }))
+    .filter((webhook) => webhook.id > 0 && webhook.url && webhook.secret);
+  const webhookIds = new Set(state.webhooks.map((webhook) => webhook.id));
+  state.webhook_deliveries = state.webhook_deliveries.filter(
+    (delivery) => toInt(delivery.id) > 0 && webhookIds.has(toInt(delivery.webhook_id))
+  );
+
   state.schema_version = SCHEMA_VERSION;
   state.search_index_meta = {
     last_rebuild_at: state.search_index_meta.last_rebuild_at || null
   };
 }
 
-function loadState() {
-  ensureDataFile();
-  try {
-    const raw = fs.readFileSync(dbPath, "utf8");
-    state = sanitizeState(JSON.parse(raw));
-  } catch {
-    state = baseState();
+// Notifications used to be derived on every request; keep that history but mark it as already seen.
+function backfillNotifications() {
+  const postOwner = new Map(state.posts.map((post) => [post.id, post.user_id]));
+  const commentOwner = new Map(state.comments.map((comment) => [comment.id, comment.user_id]));
+  const records = [];
+  const add = (record) => {
+    if (!record.user_id || record.user_id === record.actor_user_id) return;
+    records.push({
+      post_id: null,
+      comment_id: null,
+      detail: "",
+      delivery: "in_app",
+      ...record,
+      read_at: record.created_at,
+      emailed_at: null
+    });
+  };
+  for (const like of state.likes) {
+    add({
+      user_id: postOwner.get(like.post_id),
+      actor_user_id: like.user_id,
+      type: "like",
+      post_id: like.post_id,
+      created_at: like.created_at
+    });
+  }
+  for (const bookmark of state.bookmarks) {
+    add({
+      user_id: postOwner.get(bookmark.post_id),
+      actor_user_id: bookmark.user_id,
+      type: "bookmark",
+      post_id: bookmark.post_id,
+      created_at: bookmark.created_at
+    });
+  }
+  for (const comment of state.comments) {
+    const parentOwner = comment.parent_comment_id ? commentOwner.get(comment.parent_comment_id) : null;
+    add({
+      user_id: parentOwner || postOwner.get(comment.post_id),
+      actor_user_id: comment.user_id,
+      type: parentOwner ? "reply" : "comment",
+      post_id: comment.post_id,
+      comment_id: comment.id,
+      created_at: comment.created_at
+    });
+  }
+  for (const follow of state.follows) {
+    add({
+      user_id: follow.followed_user_id,
+      actor_user_id: follow.follower_user_id,
+      type: "follow",
+      created_at: follow.created_at
+    });
+    const followedAt = new Date(follow.created_at).getTime();
+    for (const post of state.posts) {
+      if (post.user_id !== follow.followed_user_id || post.status !== "published") continue;
+      if (postTimestamp(post) < followedAt) continue;
+      add({
+        user_id: follow.follower_user_id,
+        actor_user_id: post.user_id,
+        type: "new_post",
+        post_id: post.id,
+        created_at: post.published_at
+      });
+    }
   }
+  records
+    .sort((a, b) => new Date(a.created_at).getTime() - new Date(b.created_at).getTime())
+    .forEach((record) => {
+      state.notifications.push({ id: nextId("notifications"), ...record });
+    });
+}
+
+// Unreadable storage stops startup: carrying on with an empty state would save it over the data on disk.
+function loadState() {
+  const raw = storage.load();
+  state = raw ? sanitizeState(raw) : baseState();
+  indexes = null;
   migrateState();
   ensureCategoriesSeeded();
   hydrateCounters(state);
-  enqueueWrite();
+  rebuildSearchIndex();
+  // Migrations rewrite rows in place, so this first save compares the whole state against what was loaded.
+  changedRows = new Map();
+  storage.save(state);
 }
 
 loadState();
 
+// The storage migration command copies the loaded, migrated state into another adapter.
+function exportState() {
+  return state;
+}
+
+function bucketOf(map, key, create = () => new Set()) {
+  if (!map.has(key)) map.set(key, create());
+  return map.get(key);
+}
+
+function buildIndexes() {
+  const next = {
+    usersById: new Map(),
+    usersByUsername: new Map(),
+    usersByEmail: new Map(),
+    categoriesById: new Map(),
+    categoriesBySlug: new Map(),
+    tagsById: new Map(),
+    tagsBySlug: new Map(),
+    tagsByName: new Map(),
+    postsById: new Map(),
+    postsByUser: new Map(),
+    postsByTime: [],
+    tagIdsByPost: new Map(),
+    postIdsByTag: new Map(),
+    likersByPost: new Map(),
+    bookmarkersByPost: new Map(),
+    commentsById: new Map(),
+    commentsByPost: new Map(),
+    reactionsByComment: new Map(),
+    followersByUser: new Map(),
+    followingByUser: new Map(),
+    notificationsByUser: new Map(),
+    topicSubscriptionsByUser: new Map()
+  };
+  for (const user of state.users) {
+    next.usersById.set(user.id, user);
+    next.usersByUsername.set(user.username.toLowerCase(), user);
+    next.usersByEmail.set(user.email, user);
+  }
+  for (const category of state.categories) {
+    next.categoriesById.set(category.id, category);
+    next.categoriesBySlug.set(category.slug, category);
+  }
+  for (const tag of state.tags) {
+    next.tagsById.set(tag.id, tag);
+    next.tagsBySlug.set(tag.slug, tag);
+    next.tagsByName.set(normalizeText(tag.name), tag);
+  }
+  for (const post of state.posts) {
+    next.postsById.set(post.id, post);
+    bucketOf(next.postsByUser, post.user_id).add(post);
+  }
+  next.postsByTime = sortByKeyDesc([...state.posts], newestKey);
+  for (const relation of state.post_tags) {
+    bucketOf(next.tagIdsByPost, relation.post_id).add(relation.tag_id);
+    bucketOf(next.postIdsByTag, relation.tag_id).add(relation.post_id);
+  }
+  for (const like of state.likes) bucketOf(next.likersByPost, like.post_id).add(like.user_id);
+  for (const bookmark of state.bookmarks) bucketOf(next.bookmarkersByPost, bookmark.post_id).add(bookmark.user_id);
+  for (const comment of state.comments) {
+    next.commentsById.set(comment.id, comment);
+    bucketOf(next.commentsByPost, comment.post_id).add(comment);
+  }
+  for (const reaction of state.comment_reactions) bucketOf(next.reactionsByComment, reaction.comment_id).add(reaction);
+  for (const follow of state.follows) {
+    bucketOf(next.followersByUser, follow.followed_user_id).add(follow.follower_user_id);
+    bucketOf(next.followingByUser, follow.follower_user_id).add(follow.followed_user_id);
+  }
+  for (const notification of state.notifications) {
+    bucketOf(next.notificationsByUser, notification.user_id).add(notification);
+  }
+  for (const subscription of state.topic_subscriptions) {
+    bucketOf(next.topicSubscriptionsByUser, subscription.user_id).add(subscription);
+  }
+  return next;
+}
+
+function getIndexes() {
+  if (!indexes) indexes = buildIndexes();
+  return indexes;
+}
+
+// Keeps a Set-valued index in step with an insert or delete; a no-op while the indexes are waiting to be rebuilt.
+function updateIndex(name, key, value, added) {
+  if (!indexes) return;
+  const bucket = bucketOf(indexes[name], key);
+  if (added) bucket.add(value);
+  else bucket.delete(value);
+}
+
+function updateMapIndex(name, key, value, added) {
+  if (!indexes) return;
+  if (added) indexes[name].set(key, value);
+  else indexes[name].delete(key);
+}
+
+function insertPostByTime(post) {
+  const { postsByTime } = indexes;
+  postsByTime.splice(indexAfterKey(postsByTime, newestKey, newestKey(post)), 0, post);
+}
+
+// By identity: the post's timestamps may already have changed, so its old position cannot be searched for.
+function removePostByTime(post) {
+  const position = indexes.postsByTime.indexOf(post);
+  if (position !== -1) indexes.postsByTime.splice(position, 1);
+}
+
+function indexRow(collection, row, added) {
+  if (!indexes) return;
+  if (collection === "users") {
+    updateMapIndex("usersById", row.id, row, added);
+    updateMapIndex("usersByUsername", row.username.toLowerCase(), row, added);
+    updateMapIndex("usersByEmail", row.email, row, added);
+  } else if (collection === "tags") {
+    updateMapIndex("tagsById", row.id, row, added);
+    updateMapIndex("tagsBySlug", row.slug, row, added);
+    updateMapIndex("tagsByName", normalizeText(row.name), row, added);
+  } else if (collection === "posts") {
+    updateMapIndex("postsById", row.id, row, added);
+    updateIndex("postsByUser", row.user_id, row, added);
+    if (added) insertPostByTime(row);
+    else removePostByTime(row);
+  } else if (collection === "post_tags") {
+    updateIndex("tagIdsByPost", row.post_id, row.tag_id, added);
+    updateIndex("postIdsByTag", row.tag_id, row.post_id, added);
+  } else if (collection === "likes") {
+    updateIndex("likersByPost", row.post_id, row.user_id, added);
+  } else if (collection === "bookmarks") {
+    updateIndex("bookmarkersByPost", row.post_id, row.user_id, added);
+  } else if (collection === "comments") {
+    updateMapIndex("commentsById", row.id, row, added);
+    updateIndex("commentsByPost", row.post_id, row, added);
+  } else if (collection === "comment_reactions") {
+    updateIndex("reactionsByComment", row.comment_id, row, added);
+  } else if (collection === "follows") {
+    updateIndex("followersByUser", row.followed_user_id, row.follower_user_id, added);
+    updateIndex("followingByUser", row.follower_user_id, row.followed_user_id, added);
+  } else if (collection === "notifications") {
+    updateIndex("notificationsByUser", row.user_id, row, added);
+  } else if (collection === "topic_subscriptions") {
+    updateIndex("topicSubscriptionsByUser", row.user_id, row, added);
+  }
+}
+
+function searchFieldsFor(post) {
+  const author = getUserById(post.user_id);
+  const category = getCategoryById(post.category_id);
+  return {
+    title: post.title,
+    tags: getTagsForPost(post.id)
+      .map((tag) => tag.name)
+      .join(" "),
+    body: search.plainText(post.markdown_body),
+    meta: [author ? author.username : "", category ? category.name : ""].join(" ")
+  };
+}
+
+// Only live, visible posts are searchable; call after any change to a post's text, tags, status or visibility.
+function syncSearchIndex(post) {
+  if (post && isPostLive(post) && !post.is_hidden) {
+    searchIndex.add(post.id, searchFieldsFor(post));
+  } else if (post) {
+    searchIndex.remove(post.id);
+  }
+}
+
+function rebuildSearchIndex() {
+  searchIndex.clear();
+  for (const post of state.posts) {
+    syncSearchIndex(post);
+  }
+  state.search_index_meta.last_rebuild_at = nowIso();
+}
+
+function cachedRail(key, compute) {
+  const cached = railCache.get(key);
+  if (cached && Date.now() - cached.at < RAIL_CACHE_TTL_MS) return cached.value;
+  const value = compute();
+  railCache.set(key, { at: Date.now(), value });
+  return value;
+}
+
 function getUserById(id) {
-  return state.users.find((user) => user.id === toInt(id)) || null;
+  return getIndexes().usersById.get(toInt(id)) || null;
 }
 
 function getUserByEmail(email) {
-  return state.users.find((user) => user.email === normalizeText(email)) || null;
+  return getIndexes().usersByEmail.get(normalizeText(email)) || null;
 }
 
 function getUserByUsername(username) {
-  return state.users.find((user) => user.username.toLowerCase() === normalizeText(username)) || null;
+  return getIndexes().usersByUsername.get(normalizeText(username)) || null;
 }
 
 function getUsers() {
@@ -500,6 +1065,7 @@ function createUser({ username, email, password_hash }) {
     password_hash: String(password_hash || ""),
     bio: "",
     avatar_url: "",
+    avatar_thumb_url: "",
     created_at: nowIso(),
     role: userCount === 0 ? "admin" : "user",
     status: "active",
@@ -507,9 +1073,12 @@ function createUser({ username, email, password_hash }) {
     verification_token_hash: null,
     verification_expires_at: null,
     reset_token_hash: null,
-    reset_expires_at: null
+    reset_expires_at: null,
+    notification_prefs: normalizeNotificationPrefs(null),
+    last_digest_at: null,
+    locale: ""
   };
-  state.users.push(user);
+  insertRow("users", user);
   enqueueWrite();
   return user;
 }
@@ -519,6 +1088,7 @@ function setVerificationToken(userId, { tokenHash, expiresAt }) {
   if (!user) return null;
   user.verification_token_hash = tokenHash;
   user.verification_expires_at = expiresAt;
+  markChanged("users", user);
   enqueueWrite();
   return user;
 }
@@ -535,6 +1105,7 @@ function verifyUserByTokenHash(tokenHash) {
   user.email_verified = true;
   user.verification_token_hash = null;
   user.verification_expires_at = null;
+  markChanged("users", user);
   enqueueWrite();
   return user;
 }
@@ -544,6 +1115,7 @@ function setResetToken(userId, { tokenHash, expiresAt }) {
   if (!user) return null;
   user.reset_token_hash = tokenHash;
   user.reset_expires_at = expiresAt;
+  markChanged("users", user);
   enqueueWrite();
   return user;
 }
@@ -566,15 +1138,27 @@ function resetPasswordByTokenHash(tokenHash, passwordHash) {
   user.password_hash = passwordHash;
   user.reset_token_hash = null;
   user.reset_expires_at = null;
+  markChanged("users", user);
   enqueueWrite();
   return user;
 }
 
-function updateUserProfile(id, { bio, avatar_url }) {
+function updateUserProfile(id, { bio, avatar_url, avatar_thumb_url }) {
   const user = getUserById(id);
   if (!user) return null;
   user.bio = String(bio || "");
+  user.avatar_thumb_url = keepThumb(user.avatar_url, user.avatar_thumb_url, avatar_url, avatar_thumb_url);
   user.avatar_url = String(avatar_url || "");
+  markChanged("users", user);
+  enqueueWrite();
+  return toPublicUser(user);
+}
+
+function updateUserLocale(id, locale) {
+  const user = getUserById(id);
+  if (!user) return null;
+  user.locale = String(locale || "");
+  markChanged("users", user);
   enqueueWrite();
   return toPublicUser(user);
 }
@@ -583,6 +1167,7 @@ function updateUserRole(id, role) {
   const user = getUserById(id);
   if (!user || !isRole(role)) return null;
   user.role = role;
+  markChanged("users", user);
   enqueueWrite();
   return user;
 }
@@ -591,6 +1176,7 @@ function updateUserStatus(id, status) {
   const user = getUserById(id);
   if (!user || !isUserStatus(status)) return null;
   user.status = status;
+  markChanged("users", user);
   enqueueWrite();
   return user;
 }
@@ -605,26 +1191,33 @@ function getAllCategories() {
 }
 
 function getCategoryById(id) {
-  return state.categories.find((category) => category.id === toInt(id)) || null;
+  return getIndexes().categoriesById.get(toInt(id)) || null;
 }
 
 function getCategoryBySlug(slug) {
-  return state.categories.find((category) => category.slug === slug) || null;
+  return getIndexes().categoriesBySlug.get(slug) || null;
 }
 
 function getTagBySlug(slug) {
-  return state.tags.find((tag) => tag.slug === slug) || null;
+  return getIndexes().tagsBySlug.get(slug) || null;
+}
+
+function getTagSummary(slug) {
+  const tag = getTagBySlug(slug);
+  if (!tag) return null;
+  const postIds = getIndexes().postIdsByTag.get(tag.id);
+  return { id: tag.id, name: tag.name, slug: tag.slug, usage_count: postIds ? postIds.size : 0 };
 }
 
 function getTagById(id) {
-  return state.tags.find((tag) => tag.id === toInt(id)) || null;
+  return getIndexes().tagsById.get(toInt(id)) || null;
 }
 
 function getTagsForPost(postId) {
-  const relations = state.post_tags.filter((item) => item.post_id === toInt(postId));
+  const tagIds = getIndexes().tagIdsByPost.get(toInt(postId)) || [];
   const tags = [];
-  for (const relation of relations) {
-    const tag = getTagById(relation.tag_id);
+  for (const tagId of tagIds) {
+    const tag = getTagById(tagId);
     if (tag) {
       tags.push({ id: tag.id, name: tag.name, slug: tag.slug });
     }
@@ -632,30 +1225,24 @@ function getTagsForPost(postId) {
   return tags.sort((a, b) => a.name.localeCompare(b.name));
 }
 
+// Different names can transliterate to the same slug ("монтаж" and "montazh"); the later tag gets a numbered slug.
 function getOrCreateTag(nameInput) {
   const name = String(nameInput || "").trim();
-  if (!name) return null;
   const slugBase = slugify(name);
   if (!slugBase) return null;
 
-  let existing = state.tags.find((tag) => tag.slug === slugBase);
+  const { tagsByName, tagsBySlug } = getIndexes();
+  const existing = tagsByName.get(normalizeText(name));
   if (existing) return existing;
 
-  let slug = slugBase;
-  let index = 1;
-  while (state.tags.some((tag) => tag.slug === slug)) {
-    index += 1;
-    slug = `${slugBase}-${index}`;
-  }
-
-  existing = {
+  const tag = {
     id: nextId("tags"),
-    slug,
+    slug: uniqueSlug(slugBase, (slug) => tagsBySlug.has(slug)),
     name,
     created_at: nowIso()
   };
-  state.tags.push(existing);
-  return existing;
+  insertRow("tags", tag);
+  return tag;
 }
 
 function setPostTags(postId, tagNames) {
@@ -670,11 +1257,12 @@ function setPostTags(postId, tagNames) {
     if (uniqueNames.length >= 5) break;
   }
 
-  state.post_tags = state.post_tags.filter((item) => item.post_id !== toInt(postId));
+  removeRows("post_tags", (item) => item.post_id === toInt(postId));
   for (const item of uniqueNames) {
     const tag = getOrCreateTag(item);
     if (!tag) continue;
-    state.post_tags.push({
+    insertRow("post_tags", {
+      id: nextId("post_tags"),
       post_id: toInt(postId),
       tag_id: tag.id
     });
@@ -682,11 +1270,28 @@ function setPostTags(postId, tagNames) {
 }
 
 function countLikes(postId) {
-  return state.likes.filter((like) => like.post_id === toInt(postId)).length;
+  const likers = getIndexes().likersByPost.get(toInt(postId));
+  return likers ? likers.size : 0;
 }
 
 function countBookmarks(postId) {
-  return state.bookmarks.filter((bookmark) => bookmark.post_id === toInt(postId)).length;
+  const bookmarkers = getIndexes().bookmarkersByPost.get(toInt(postId));
+  return bookmarkers ? bookmarkers.size : 0;
+}
+
+function isPostLive(post, now = Date.now()) {
+  if (post.status === "published") return true;
+  if (post.status !== "scheduled" || !post.publish_at) return false;
+  return new Date(post.publish_at).getTime() <= now;
+}
+
+function postTimestamp(post) {
+  return new Date(post.published_at || post.publish_at || post.created_at).getTime();
+}
+
+function canSeePost(post, viewer) {
+  if (!isPostLive(post)) return Boolean(viewer && viewer.id === post.user_id);
+  return canSeeHiddenPost(post, viewer);
 }
 
 function canSeeHiddenPost(post, viewer) {
@@ -695,8 +1300,7 @@ function canSeeHiddenPost(post, viewer) {
 }
 
 function getVisibleCommentsForPost(postId, viewer) {
-  const comments = state.comments
-    .filter((comment) => comment.post_id === toInt(postId))
+  const comments = [...(getIndexes().commentsByPost.get(toInt(postId)) || [])]
     .sort((a, b) => {
       if (a.path === b.path) {
         return new Date(a.created_at).getTime() - new Date(b.created_at).getTime();
@@ -724,21 +1328,23 @@ function countVisibleComments(postId, viewer) {
   return getVisibleCommentsForPost(postId, viewer).length;
 }
 
-function buildSearchText(post) {
-  const author = getUserById(post.user_id);
-  const category = getCategoryById(post.category_id);
-  const tags = getTagsForPost(post.id);
-  const parts = [
-    post.title,
-    post.markdown_body,
-    author ? author.username : "",
-    category ? category.name : "",
-    ...tags.map((tag) => tag.name)
-  ];
-  return normalizeText(parts.join(" "));
+function countPublicComments(postId) {
+  let count = 0;
+  for (const comment of getIndexes().commentsByPost.get(toInt(postId)) || []) {
+    if (!comment.is_hidden) count += 1;
+  }
+  return count;
+}
+
+// Comments count double: they take more effort than a like or a bookmark.
+function hotScore(post, now = Date.now()) {
+  const engagement = countLikes(post.id) + 2 * countPublicComments(post.id) + countBookmarks(post.id);
+  const ageHours = Math.max(0, now - postTimestamp(post)) / (60 * 60 * 1000);
+  return engagement / Math.pow(ageHours + 2, HOT_GRAVITY);
 }
 
 function decoratePost(post, viewerId) {
+  const cover = post.media_items[0] || null;
   const viewer = viewerId ? toPublicUser(getUserById(viewerId)) : null;
   const author = getUserById(post.user_id);
   const category = getCategoryById(post.category_id);
@@ -746,26 +1352,33 @@ function decoratePost(post, viewerId) {
   const likeCount = countLikes(post.id);
   const bookmarkCount = countBookmarks(post.id);
   const commentCount = countVisibleComments(post.id, viewer);
-  const likedByMe = viewer ? state.likes.some((like) => like.post_id === post.id && like.user_id === viewer.id) : false;
-  const bookmarkedByMe = viewer
-    ? state.bookmarks.some((bookmark) => bookmark.post_id === post.id && bookmark.user_id === viewer.id)
-    : false;
+  const likedByMe = viewer ? hasLike({ userId: viewer.id, postId: post.id }) : false;
+  const bookmarkedByMe = viewer ? hasBookmark({ userId: viewer.id, postId: post.id }) : false;
+  const followingAuthor = viewer ? isFollowing(viewer.id, post.user_id) : false;
 
   return {
     id: post.id,
     title: post.title,
+    slug: postSlug(post),
+    path: postPath(post),
     markdown_body: post.markdown_body,
     rendered_html: post.rendered_html,
     excerpt: post.excerpt,
     reading_time_minutes: post.reading_time_minutes,
-    media_url: post.media_url,
-    media_type: post.media_type,
+    media_items: post.media_items.map((item) => ({ ...item })),
+    media_type: cover ? cover.type : "none",
+    media_url: cover ? cover.url : "",
+    media_thumb_url: cover ? cover.thumb_url : "",
     created_at: post.created_at,
+    updated_at: post.updated_at || null,
+    status: post.status,
+    publish_at: post.publish_at || null,
+    published_at: post.published_at || null,
     is_hidden: post.is_hidden,
     hidden_reason: post.hidden_reason || "",
     author_id: author ? author.id : null,
     author_username: author ? author.username : "deleted",
-    author_avatar_url: author ? author.avatar_url || "" : "",
+    author_avatar_url: avatarThumb(author),
     author_status: author ? author.status : "active",
     category_name: category ? category.name : "Unknown",
     category_slug: category ? category.slug : "unknown",
@@ -774,28 +1387,92 @@ function decoratePost(post, viewerId) {
     bookmark_count: bookmarkCount,
     liked_by_me: likedByMe ? 1 : 0,
     bookmarked_by_me: bookmarkedByMe ? 1 : 0,
+    following_author: followingAuthor ? 1 : 0,
     tags
   };
 }
 
-function filterPostsForFeed({ viewerId, categorySlug, tagSlug, query }) {
+function feedListing({
+  viewerId,
+  categorySlug,
+  tagSlug,
+  query,
+  followingOnly = false,
+  rankSubscriptions = false,
+  sort = "new",
+  period = "week"
+}) {
   const viewer = viewerId ? toPublicUser(getUserById(viewerId)) : null;
+  const followedIds = followingOnly ? new Set(getFollowedUserIds(viewerId)) : null;
   const category = categorySlug ? getCategoryBySlug(categorySlug) : null;
   const tag = tagSlug ? getTagBySlug(tagSlug) : null;
-  const normQuery = normalizeText(query || "");
-  const tagPostIds = new Set(
-    tag ? state.post_tags.filter((item) => item.tag_id === tag.id).map((item) => item.post_id) : []
-  );
+  const match = query ? matchSearchQuery(search.parseQuery(query)) : null;
+  const tagPostIds = (tag && getIndexes().postIdsByTag.get(tag.id)) || new Set();
+  const periodMs = FEED_PERIODS[period];
+  const since = (sort === "top" || sort === "discussed") && periodMs ? Date.now() - periodMs : null;
+
+  const predicate = (post) => {
+    if (!isPostLive(post)) return false;
+    if (!canSeeHiddenPost(post, viewer)) return false;
+    if (followedIds && !followedIds.has(post.user_id)) return false;
+    if (category && post.category_id !== category.id) return false;
+    if (tag && !tagPostIds.has(post.id)) return false;
+    if (match && !match.matches(post.id)) return false;
+    if (since !== null && postTimestamp(post) < since) return false;
+    return true;
+  };
 
-  return state.posts
-    .filter((post) => {
-      if (!canSeeHiddenPost(post, viewer)) return false;
-      if (category && post.category_id !== category.id) return false;
-      if (tag && !tagPostIds.has(post.id)) return false;
-      if (normQuery && !buildSearchText(post).includes(normQuery)) return false;
-      return true;
-    })
-    .sort((a, b) => new Date(b.created_at).getTime() - new Date(a.created_at).getTime());
+  if (sort !== "new") return { predicate, order: `${sort}-${period}`, keyOf: feedSortKey(sort) };
+  if (rankSubscriptions && viewer) return { predicate, order: "subscribed-first", keyOf: subscriptionKey(viewer.id) };
+  return { predicate, order: "new", keyOf: newestKey };
+}
+
+function newestKey(post) {
+  return [postTimestamp(post), post.id];
+}
+
+function memoizeKey(keyOf) {
+  const keys = new Map();
+  return (post) => {
+    if (!keys.has(post.id)) keys.set(post.id, keyOf(post));
+    return keys.get(post.id);
+  };
+}
+
+function feedSortKey(sort) {
+  const now = Date.now();
+  const score =
+    sort === "hot"
+      ? (post) => hotScore(post, now)
+      : sort === "top"
+        ? (post) => countLikes(post.id)
+        : (post) => countPublicComments(post.id);
+  return memoizeKey((post) => [score(post), postTimestamp(post), post.id]);
+}
+
+// Relevance scores for the query's terms plus the ids its `-excluded` words and phrases rule out.
+function matchSearchQuery(parsed) {
+  const scores = parsed.isEmpty ? null : searchIndex.search(parsed);
+  const excludedIds = searchIndex.excluded(parsed);
+  return {
+    scores,
+    matches: (postId) => (!scores || scores.has(postId)) && !excludedIds.has(postId)
+  };
+}
+
+// Posts from subscribed topics and tags come first; the tier leads the key so cursors work across the boundary.
+function subscriptionKey(userId) {
+  const subscriptions = getUserTopicSubscriptions(userId);
+  const categoryIds = new Set(subscriptions.category_ids);
+  const tagIds = new Set(subscriptions.tag_ids);
+  const subscribedPostIds = new Set();
+  for (const tagId of tagIds) {
+    for (const postId of getIndexes().postIdsByTag.get(tagId) || []) subscribedPostIds.add(postId);
+  }
+  return memoizeKey((post) => {
+    const subscribed = categoryIds.has(post.category_id) || subscribedPostIds.has(post.id);
+    return [subscribed ? 1 : 0, postTimestamp(post), post.id];
+  });
 }
 
 function paginate(items, page, pageSize) {
@@ -814,17 +1491,221 @@ function paginate(items, page, pageSize) {
   };
 }
 
-function getFeedPosts({ viewerId, categorySlug, tagSlug, query, page = 1, pageSize = 10 }) {
-  const filtered = filterPostsForFeed({ viewerId, categorySlug, tagSlug, query });
-  const result = paginate(filtered, page, pageSize);
+function compareKeys(a, b) {
+  for (let i = 0; i < Math.max(a.length, b.length); i += 1) {
+    const diff = (a[i] || 0) - (b[i] || 0);
+    if (diff !== 0) return diff;
+  }
+  return 0;
+}
+
+function sortByKeyDesc(items, keyOf) {
+  return items.sort((a, b) => compareKeys(keyOf(b), keyOf(a)));
+}
+
+// Cursors are opaque to clients: the sort key of the last item on a page, tagged with the ordering it came from.
+function encodeCursor(order, key) {
+  return Buffer.from(JSON.stringify([order, ...key])).toString("base64url");
+}
+
+function decodeCursor(cursor, order) {
+  if (!cursor) return null;
+  try {
+    const [cursorOrder, ...key] = JSON.parse(Buffer.from(String(cursor), "base64url").toString("utf8"));
+    if (cursorOrder !== order || key.length === 0 || !key.every(Number.isFinite)) return null;
+    return key;
+  } catch {
+    return null;
+  }
+}
+
+// First index in `items` (sorted by descending key) whose key sorts after `key`.
+function indexAfterKey(items, keyOf, key) {
+  let low = 0;
+  let high = items.length;
+  while (low < high) {
+    const middle = (low + high) >> 1;
+    if (compareKeys(keyOf(items[middle]), key) < 0) high = middle;
+    else low = middle + 1;
+  }
+  return low;
+}
+
+// Scores drift between requests, so the cursor's post is looked up by id first and its stored key is the fallback.
+function paginateByCursor(items, { order, keyOf, cursor, pageSize }) {
+  const size = Math.min(Math.max(pageSize || 10, 1), MAX_PAGE_SIZE);
+  const after = decodeCursor(cursor, order);
+  let start = 0;
+  if (after) {
+    const lastId = after[after.length - 1];
+    const position = items.findIndex((item) => item.id === lastId);
+    start = position === -1 ? indexAfterKey(items, keyOf, after) : position + 1;
+  }
+  const records = items.slice(start, start + size);
+  const hasMore = start + size < items.length;
+  return {
+    items: records,
+    total: items.length,
+    pageSize: size,
+    cursor: after ? String(cursor) : null,
+    nextCursor: hasMore ? encodeCursor(order, keyOf(records[records.length - 1])) : null
+  };
+}
+
+// Newest-first pages are read straight off postsByTime, so the total is left unknown.
+function scanNewestPage(predicate, { cursor, pageSize }) {
+  const size = Math.min(Math.max(pageSize || 10, 1), MAX_PAGE_SIZE);
+  const { postsByTime } = getIndexes();
+  const after = decodeCursor(cursor, "new");
+  const records = [];
+  let hasMore = false;
+  for (let i = after ? indexAfterKey(postsByTime, newestKey, after) : 0; i < postsByTime.length; i += 1) {
+    if (!predicate(postsByTime[i])) continue;
+    if (records.length === size) {
+      hasMore = true;
+      break;
+    }
+    records.push(postsByTime[i]);
+  }
+  return {
+    items: records,
+    total: null,
+    pageSize: size,
+    cursor: after ? String(cursor) : null,
+    nextCursor: hasMore ? encodeCursor("new", newestKey(records[records.length - 1])) : null
+  };
+}
+
+function getFeedPosts({
+  viewerId,
+  categorySlug,
+  tagSlug,
+  query,
+  followingOnly = false,
+  rankSubscriptions = false,
+  sort = "new",
+  period = "",
+  cursor = null,
+  pageSize = 10
+}) {
+  const feedSort = FEED_SORTS.includes(sort) ? sort : "new";
+  const feedPeriod = Object.hasOwn(FEED_PERIODS, period) ? period : "week";
+  const listing = feedListing({
+    viewerId,
+    categorySlug,
+    tagSlug,
+    query,
+    followingOnly,
+    rankSubscriptions,
+    sort: feedSort,
+    period: feedPeriod
+  });
+  const result =
+    listing.order === "new"
+      ? scanNewestPage(listing.predicate, { cursor, pageSize })
+      : paginateByCursor(sortByKeyDesc(state.posts.filter(listing.predicate), listing.keyOf), {
+          ...listing,
+          cursor,
+          pageSize
+        });
   return {
     ...result,
+    sort: feedSort,
+    period: feedPeriod,
     items: result.items.map((post) => decoratePost(post, viewerId))
   };
 }
 
-function getSearchPosts({ viewerId, query, page = 1, pageSize = 10 }) {
-  return getFeedPosts({ viewerId, query, page, pageSize });
+function parseDateFilter(value, endOfDay) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(String(value || ""))) return null;
+  const time = new Date(`${value}T${endOfDay ? "23:59:59.999" : "00:00:00.000"}Z`).getTime();
+  return Number.isNaN(time) ? null : time;
+}
+
+function findTag(value) {
+  const name = normalizeText(String(value || "").replace(/^#/, ""));
+  if (!name) return null;
+  return state.tags.find((tag) => normalizeText(tag.name) === name) || getTagBySlug(slugify(name)) || null;
+}
+
+// Form filters merged with inline query operators, which win; unknown authors, categories or tags match nothing.
+function resolveSearchFilters(parsed, formFilters = {}) {
+  const raw = { ...formFilters, ...parsed.filters };
+  const values = {};
+  for (const key of search.QUERY_OPERATORS) {
+    values[key] = typeof raw[key] === "string" ? raw[key].trim() : "";
+  }
+  const author = values.author ? getUserByUsername(values.author.replace(/^@/, "")) : null;
+  const category = values.category ? getCategoryBySlug(normalizeText(values.category)) : null;
+  const tag = values.tag ? findTag(values.tag) : null;
+  const tagPostIds = (tag && getIndexes().postIdsByTag.get(tag.id)) || new Set();
+  const type = MEDIA_TYPES.includes(values.type) ? values.type : "";
+  const media = values.media === "yes" || values.media === "no" ? values.media : "";
+  const likesMatch = /^(>=?)?(\d+)$/.exec(values.likes);
+  const minLikes = likesMatch ? Number(likesMatch[2]) + (likesMatch[1] === ">" ? 1 : 0) : 0;
+  const after = parseDateFilter(values.after, false);
+  const before = parseDateFilter(values.before, true);
+
+  const predicate = (post) => {
+    if (values.author && (!author || post.user_id !== author.id)) return false;
+    if (values.category && (!category || post.category_id !== category.id)) return false;
+    if (values.tag && !tagPostIds.has(post.id)) return false;
+    if (type && !post.media_items.some((item) => item.type === type)) return false;
+    if (media && (post.media_items.length > 0) !== (media === "yes")) return false;
+    if (minLikes && countLikes(post.id) < minLikes) return false;
+    if (after !== null && postTimestamp(post) < after) return false;
+    if (before !== null && postTimestamp(post) > before) return false;
+    return true;
+  };
+
+  return {
+    values: {
+      ...values,
+      type,
+      media,
+      likes: minLikes ? String(minLikes) : "",
+      after: after === null ? "" : values.after,
+      before: before === null ? "" : values.before
+    },
+    predicate
+  };
+}
+
+// Snippets come back as escaped HTML with <mark> highlights.
+function getSearchPosts({ viewerId, query, filters = {}, sort = "", cursor = null, pageSize = 10 }) {
+  const viewer = viewerId ? toPublicUser(getUserById(viewerId)) : null;
+  const parsed = search.parseQuery(query);
+  const match = matchSearchQuery(parsed);
+  const resolved = resolveSearchFilters(parsed, filters);
+  const sortMode = SEARCH_SORTS.includes(sort) && (sort !== "relevance" || match.scores) ? sort : "";
+  const effectiveSort = sortMode || (match.scores ? "relevance" : "newest");
+  const keys = {
+    relevance: memoizeKey((post) => [match.scores.get(post.id), ...newestKey(post)]),
+    newest: newestKey,
+    likes: memoizeKey((post) => [countLikes(post.id), ...newestKey(post)])
+  };
+
+  const filtered = state.posts
+    .filter((post) => isPostLive(post) && canSeeHiddenPost(post, viewer))
+    .filter((post) => match.matches(post.id) && resolved.predicate(post));
+  const result = paginateByCursor(sortByKeyDesc(filtered, keys[effectiveSort]), {
+    order: effectiveSort,
+    keyOf: keys[effectiveSort],
+    cursor,
+    pageSize
+  });
+  return {
+    ...result,
+    sort: effectiveSort,
+    ranked: Boolean(match.scores),
+    filters: resolved.values,
+    text: parsed.text,
+    items: result.items.map((post) => ({
+      ...decoratePost(post, viewerId),
+      title_html: search.highlight(post.title, parsed),
+      snippet_html: search.highlight(search.plainText(post.markdown_body), parsed, { maxLength: 220 })
+    }))
+  };
 }
 
 function createPost({
@@ -835,10 +1716,12 @@ function createPost({
   rendered_html,
   excerpt,
   reading_time_minutes,
-  media_url,
-  media_type,
-  tag_names
+  media_items,
+  tag_names,
+  status = "published",
+  publish_at = null
 }) {
+  const postStatus = isPostStatus(status) ? status : "published";
   const post = {
     id: nextId("posts"),
     user_id: toInt(user_id),
@@ -848,28 +1731,49 @@ function createPost({
     rendered_html: String(rendered_html || ""),
     excerpt: String(excerpt || summarize(markdown_body)),
     reading_time_minutes: Number(reading_time_minutes || computeReadingTime(markdown_body)),
-    media_url: String(media_url || ""),
-    media_type: ["none", "image", "video"].includes(media_type) ? media_type : "none",
+    media_items: normalizeMediaItems(media_items),
     is_hidden: false,
     hidden_reason: "",
-    created_at: nowIso()
+    created_at: nowIso(),
+    updated_at: null,
+    status: postStatus,
+    publish_at: postStatus === "scheduled" ? publish_at : null,
+    published_at: postStatus === "published" ? nowIso() : null
   };
-  state.posts.push(post);
+  insertRow("posts", post);
   setPostTags(post.id, tag_names || []);
-  state.search_index_meta.last_rebuild_at = nowIso();
+  notifyPostAudience(post);
+  syncSearchIndex(post);
+  if (isPostLive(post)) emitPostCreated(post);
   enqueueWrite();
   return post;
 }
 
+// Sent once, when a post first goes live: on insert, on publishing a draft, or when a scheduled post is released.
+function emitPostCreated(post) {
+  emitWebhookEvent("post.created", () => ({
+    id: post.id,
+    title: post.title,
+    excerpt: post.excerpt,
+    status: post.status,
+    publish_at: post.publish_at,
+    path: postPath(post),
+    author: userRef(post.user_id),
+    category: (getCategoryById(post.category_id) || { slug: null }).slug,
+    tags: getTagsForPost(post.id).map((tag) => tag.slug),
+    created_at: post.created_at
+  }));
+}
+
 function getPostRawById(postId) {
-  return state.posts.find((post) => post.id === toInt(postId)) || null;
+  return getIndexes().postsById.get(toInt(postId)) || null;
 }
 
 function getPostById({ postId, viewerId }) {
   const post = getPostRawById(postId);
   if (!post) return null;
   const viewer = viewerId ? toPublicUser(getUserById(viewerId)) : null;
-  if (!canSeeHiddenPost(post, viewer)) return null;
+  if (!canSeePost(post, viewer)) return null;
   return decoratePost(post, viewerId);
 }
 
@@ -877,51 +1781,229 @@ function getPostByIdForModeration(postId) {
   return getPostRawById(postId);
 }
 
-function hidePost(postId, reason = "") {
-  const post = getPostRawById(postId);
-  if (!post) return null;
-  post.is_hidden = true;
-  post.hidden_reason = String(reason || "");
-  enqueueWrite();
-  return post;
+function snapshotPostRevision(post, editorUserId) {
+  const revision = {
+    id: nextId("post_revisions"),
+    post_id: post.id,
+    editor_user_id: toInt(editorUserId),
+    category_id: post.category_id,
+    title: post.title,
+    markdown_body: post.markdown_body,
+    media_items: post.media_items.map((item) => ({ ...item })),
+    tag_names: getTagsForPost(post.id).map((tag) => tag.name),
+    created_at: nowIso()
+  };
+  insertRow("post_revisions", revision);
+  return revision;
 }
 
-function unhidePost(postId) {
+function updatePost(
+  postId,
+  {
+    editor_user_id,
+    category_id,
+    title,
+    markdown_body,
+    rendered_html,
+    excerpt,
+    reading_time_minutes,
+    media_items,
+    tag_names,
+    status,
+    publish_at
+  }
+) {
   const post = getPostRawById(postId);
   if (!post) return null;
-  post.is_hidden = false;
-  post.hidden_reason = "";
+  const wasLive = isPostLive(post);
+  if (wasLive) {
+    snapshotPostRevision(post, editor_user_id);
+  } else if (isPostStatus(status)) {
+    applyPostStatus(post, status, publish_at);
+  }
+  post.category_id = toInt(category_id);
+  post.title = String(title || "").trim();
+  post.markdown_body = String(markdown_body || "");
+  post.rendered_html = String(rendered_html || "");
+  post.excerpt = String(excerpt || summarize(markdown_body));
+  post.reading_time_minutes = Number(reading_time_minutes || computeReadingTime(markdown_body));
+  post.media_items = normalizeMediaItems(media_items);
+  post.updated_at = nowIso();
+  markChanged("posts", post);
+  setPostTags(post.id, tag_names || []);
+  notifyPostAudience(post);
+  syncSearchIndex(post);
+  if (!wasLive && isPostLive(post)) emitPostCreated(post);
   enqueueWrite();
   return post;
 }
 
-function hasLike({ userId, postId }) {
-  return state.likes.some((like) => like.user_id === toInt(userId) && like.post_id === toInt(postId));
+function applyPostStatus(post, status, publishAt) {
+  post.status = status;
+  post.publish_at = status === "scheduled" ? publishAt : null;
+  post.published_at = status === "published" ? nowIso() : null;
 }
 
-function toggleLike({ userId, postId }) {
-  const existing = state.likes.find(
-    (like) => like.user_id === toInt(userId) && like.post_id === toInt(postId)
-  );
-  if (existing) {
-    state.likes = state.likes.filter((like) => like.id !== existing.id);
+function saveDraft({
+  user_id,
+  post_id,
+  category_id,
+  title,
+  markdown_body,
+  rendered_html,
+  media_items,
+  tag_names
+}) {
+  const body = String(markdown_body || "");
+  const fields = {
+    category_id: getCategoryById(category_id) ? toInt(category_id) : getAllCategories()[0].id,
+    title: String(title || "").trim(),
+    markdown_body: body,
+    rendered_html: String(rendered_html || ""),
+    excerpt: summarize(body),
+    reading_time_minutes: computeReadingTime(body),
+    media_items: normalizeMediaItems(media_items)
+  };
+
+  let post = post_id ? getPostRawById(post_id) : null;
+  if (post && (post.user_id !== toInt(user_id) || isPostLive(post))) return null;
+  if (post) {
+    Object.assign(post, fields, { updated_at: nowIso() });
+    applyPostStatus(post, "draft", null);
+    markChanged("posts", post);
+  } else {
+    post = {
+      id: nextId("posts"),
+      user_id: toInt(user_id),
+      ...fields,
+      is_hidden: false,
+      hidden_reason: "",
+      created_at: nowIso(),
+      updated_at: nowIso(),
+      status: "draft",
+      publish_at: null,
+      published_at: null
+    };
+    insertRow("posts", post);
+  }
+  setPostTags(post.id, tag_names || []);
+  syncSearchIndex(post);
+  enqueueWrite();
+  return post;
+}
+
+function publishDuePosts(now = Date.now()) {
+  let published = 0;
+  for (const post of state.posts) {
+    if (post.status !== "scheduled" || !isPostLive(post, now)) continue;
+    post.status = "published";
+    post.published_at = post.publish_at;
+    post.publish_at = null;
+    markChanged("posts", post);
+    notifyPostAudience(post);
+    syncSearchIndex(post);
+    emitPostCreated(post);
+    published += 1;
+  }
+  if (published > 0) {
+    enqueueWrite();
+  }
+  return published;
+}
+
+function deletePost(postId) {
+  const post = getPostRawById(postId);
+  if (!post) return null;
+  snapshotPostRevision(post, post.user_id);
+  removeRows("posts", (item) => item.id === post.id);
+  removeRows("post_tags", (item) => item.post_id === post.id);
+  removeRows("likes", (like) => like.post_id === post.id);
+  removeRows("bookmarks", (bookmark) => bookmark.post_id === post.id);
+  const commentIds = new Set(removeRows("comments", (comment) => comment.post_id === post.id).map((item) => item.id));
+  removeRows("comment_reactions", (reaction) => commentIds.has(reaction.comment_id));
+  removeRows("notifications", (notification) => notification.post_id === post.id);
+  for (const report of state.reports) {
+    const reported =
+      (report.target_type === "post" && report.target_id === post.id) ||
+      (report.target_type === "comment" && commentIds.has(report.target_id));
+    if (!reported || report.status === "resolved" || report.status === "dismissed") continue;
+    report.status = "resolved";
+    report.resolved_at = nowIso();
+    markChanged("reports", report);
+  }
+  searchIndex.remove(post.id);
+  enqueueWrite();
+  return post;
+}
+
+function getPostRevisions(postId, limit = 30) {
+  return state.post_revisions
+    .filter((revision) => revision.post_id === toInt(postId))
+    .sort((a, b) => b.id - a.id)
+    .slice(0, limit)
+    .map((revision) => {
+      const editor = getUserById(revision.editor_user_id);
+      const category = getCategoryById(revision.category_id);
+      return {
+        ...revision,
+        editor_username: editor ? editor.username : "deleted",
+        category_name: category ? category.name : "Unknown"
+      };
+    });
+}
+
+function hidePost(postId, reason = "") {
+  const post = getPostRawById(postId);
+  if (!post) return null;
+  post.is_hidden = true;
+  post.hidden_reason = String(reason || "");
+  markChanged("posts", post);
+  syncSearchIndex(post);
+  enqueueWrite();
+  return post;
+}
+
+function unhidePost(postId) {
+  const post = getPostRawById(postId);
+  if (!post) return null;
+  post.is_hidden = false;
+  post.hidden_reason = "";
+  markChanged("posts", post);
+  syncSearchIndex(post);
+  enqueueWrite();
+  return post;
+}
+
+function hasLike({ userId, postId }) {
+  const likers = getIndexes().likersByPost.get(toInt(postId));
+  return Boolean(likers && likers.has(toInt(userId)));
+}
+
+function toggleLike({ userId, postId }) {
+  const existing = state.likes.find(
+    (like) => like.user_id === toInt(userId) && like.post_id === toInt(postId)
+  );
+  if (existing) {
+    removeRows("likes", (like) => like.id === existing.id);
+    withdrawNotification({ actor_user_id: userId, type: "like", post_id: postId });
     enqueueWrite();
     return false;
   }
-  state.likes.push({
+  insertRow("likes", {
     id: nextId("likes"),
     user_id: toInt(userId),
     post_id: toInt(postId),
     created_at: nowIso()
   });
+  const post = getPostRawById(postId);
+  if (post) createNotification({ user_id: post.user_id, actor_user_id: userId, type: "like", post_id: post.id });
   enqueueWrite();
   return true;
 }
 
 function hasBookmark({ userId, postId }) {
-  return state.bookmarks.some(
-    (bookmark) => bookmark.user_id === toInt(userId) && bookmark.post_id === toInt(postId)
-  );
+  const bookmarkers = getIndexes().bookmarkersByPost.get(toInt(postId));
+  return Boolean(bookmarkers && bookmarkers.has(toInt(userId)));
 }
 
 function toggleBookmark({ userId, postId }) {
@@ -929,40 +2011,483 @@ function toggleBookmark({ userId, postId }) {
     (bookmark) => bookmark.user_id === toInt(userId) && bookmark.post_id === toInt(postId)
   );
   if (existing) {
-    state.bookmarks = state.bookmarks.filter((bookmark) => bookmark.id !== existing.id);
+    removeRows("bookmarks", (bookmark) => bookmark.id === existing.id);
+    withdrawNotification({ actor_user_id: userId, type: "bookmark", post_id: postId });
     enqueueWrite();
     return false;
   }
-  state.bookmarks.push({
+  insertRow("bookmarks", {
     id: nextId("bookmarks"),
     user_id: toInt(userId),
     post_id: toInt(postId),
     created_at: nowIso()
   });
+  const post = getPostRawById(postId);
+  if (post) createNotification({ user_id: post.user_id, actor_user_id: userId, type: "bookmark", post_id: post.id });
+  enqueueWrite();
+  return true;
+}
+
+function isFollowing(followerId, followedId) {
+  const following = getIndexes().followingByUser.get(toInt(followerId));
+  return Boolean(following && following.has(toInt(followedId)));
+}
+
+function toggleFollow({ followerId, followedId }) {
+  const follower = getUserById(followerId);
+  const followed = getUserById(followedId);
+  if (!follower || !followed || follower.id === followed.id) return null;
+  const existing = state.follows.find(
+    (follow) => follow.follower_user_id === follower.id && follow.followed_user_id === followed.id
+  );
+  if (existing) {
+    removeRows("follows", (follow) => follow.id === existing.id);
+    withdrawNotification({ actor_user_id: follower.id, type: "follow", user_id: followed.id });
+    enqueueWrite();
+    return false;
+  }
+  insertRow("follows", {
+    id: nextId("follows"),
+    follower_user_id: follower.id,
+    followed_user_id: followed.id,
+    created_at: nowIso()
+  });
+  createNotification({ user_id: followed.id, actor_user_id: follower.id, type: "follow" });
   enqueueWrite();
   return true;
 }
 
+function getFollowedUserIds(userId) {
+  return [...(getIndexes().followingByUser.get(toInt(userId)) || [])];
+}
+
+function countFollowers(userId) {
+  const followers = getIndexes().followersByUser.get(toInt(userId));
+  return followers ? followers.size : 0;
+}
+
+function getFollowCounts(userId) {
+  return {
+    followers: countFollowers(userId),
+    following: getFollowedUserIds(userId).length
+  };
+}
+
+function getTopicTarget(targetType, targetId) {
+  if (targetType === "category") return getCategoryById(targetId);
+  if (targetType === "tag") return getTagById(targetId);
+  return null;
+}
+
+function toggleTopicSubscription({ userId, targetType, targetId }) {
+  const user = getUserById(userId);
+  const target = getTopicTarget(targetType, targetId);
+  if (!user || !target) return null;
+  const existing = state.topic_subscriptions.find(
+    (subscription) =>
+      subscription.user_id === user.id &&
+      subscription.target_type === targetType &&
+      subscription.target_id === target.id
+  );
+  if (existing) {
+    removeRows("topic_subscriptions", (subscription) => subscription.id === existing.id);
+    enqueueWrite();
+    return false;
+  }
+  insertRow("topic_subscriptions", {
+    id: nextId("topic_subscriptions"),
+    user_id: user.id,
+    target_type: targetType,
+    target_id: target.id,
+    created_at: nowIso()
+  });
+  enqueueWrite();
+  return true;
+}
+
+function getUserTopicSubscriptions(userId) {
+  const own = [...(getIndexes().topicSubscriptionsByUser.get(toInt(userId)) || [])];
+  const categoryIds = own.filter((item) => item.target_type === "category").map((item) => item.target_id);
+  const tagIds = own.filter((item) => item.target_type === "tag").map((item) => item.target_id);
+  return {
+    category_ids: categoryIds,
+    tag_ids: tagIds,
+    categories: categoryIds.map((id) => getCategoryById(id)).filter(Boolean),
+    tags: tagIds
+      .map((id) => getTopicTarget("tag", id))
+      .filter(Boolean)
+      .map((tag) => ({ id: tag.id, name: tag.name, slug: tag.slug }))
+  };
+}
+
+function hasBlocked(blockerId, blockedId) {
+  return state.user_blocks.some(
+    (block) => block.blocker_user_id === toInt(blockerId) && block.blocked_user_id === toInt(blockedId)
+  );
+}
+
+function toggleBlock({ blockerId, blockedId }) {
+  const blocker = getUserById(blockerId);
+  const blocked = getUserById(blockedId);
+  if (!blocker || !blocked || blocker.id === blocked.id) return null;
+  const existing = state.user_blocks.find(
+    (block) => block.blocker_user_id === blocker.id && block.blocked_user_id === blocked.id
+  );
+  if (existing) {
+    removeRows("user_blocks", (block) => block.id === existing.id);
+    enqueueWrite();
+    return false;
+  }
+  insertRow("user_blocks", {
+    id: nextId("user_blocks"),
+    blocker_user_id: blocker.id,
+    blocked_user_id: blocked.id,
+    created_at: nowIso()
+  });
+  enqueueWrite();
+  return true;
+}
+
+function getBlockedUsers(userId) {
+  return state.user_blocks
+    .filter((block) => block.blocker_user_id === toInt(userId))
+    .map((block) => toPublicUser(getUserById(block.blocked_user_id)))
+    .filter(Boolean)
+    .map((user) => ({ id: user.id, username: user.username, avatar_url: user.avatar_thumb_url }));
+}
+
+// Personal access tokens for /api/v1. Only the SHA-256 hash is stored; the token itself is shown once on creation.
+function createApiToken({ userId, name, tokenHash, scopes }) {
+  const user = getUserById(userId);
+  if (!user) return null;
+  const token = {
+    id: nextId("api_tokens"),
+    user_id: user.id,
+    name: String(name || "").trim().slice(0, 60) || "API token",
+    token_hash: String(tokenHash),
+    scopes: TOKEN_SCOPES.filter((scope) => (scopes || []).includes(scope)),
+    created_at: nowIso(),
+    last_used_at: null,
+    last_used_ip: "",
+    revoked_at: null
+  };
+  insertRow("api_tokens", token);
+  enqueueWrite();
+  return token;
+}
+
+function getActiveApiTokenByHash(tokenHash) {
+  if (!tokenHash) return null;
+  return state.api_tokens.find((token) => token.token_hash === tokenHash && !token.revoked_at) || null;
+}
+
+function touchApiToken(tokenId, ip) {
+  const token = state.api_tokens.find((item) => item.id === toInt(tokenId));
+  if (!token) return;
+  const lastUsed = token.last_used_at ? new Date(token.last_used_at).getTime() : 0;
+  const address = String(ip || "");
+  if (token.last_used_ip === address && Date.now() - lastUsed < TOKEN_TOUCH_INTERVAL_MS) return;
+  token.last_used_at = nowIso();
+  token.last_used_ip = address;
+  markChanged("api_tokens", token);
+  enqueueWrite();
+}
+
+function getUserApiTokens(userId) {
+  return state.api_tokens
+    .filter((token) => token.user_id === toInt(userId) && !token.revoked_at)
+    .sort((a, b) => b.id - a.id)
+    .map(({ token_hash, ...token }) => token);
+}
+
+// Without a userId (admin revocation) any user's token can be revoked.
+function revokeApiToken({ tokenId, userId = null }) {
+  const token = state.api_tokens.find(
+    (item) => item.id === toInt(tokenId) && (userId === null || item.user_id === toInt(userId))
+  );
+  if (!token || token.revoked_at) return null;
+  token.revoked_at = nowIso();
+  markChanged("api_tokens", token);
+  enqueueWrite();
+  return token;
+}
+
+// Webhook events are queued as deliveries and sent by src/webhooks.js, outside the request that caused them.
+function userRef(userId) {
+  const user = getUserById(userId);
+  return user ? { id: user.id, username: user.username } : null;
+}
+
+function queueWebhookDelivery(webhook, event, data) {
+  const delivery = {
+    id: nextId("webhook_deliveries"),
+    webhook_id: webhook.id,
+    event,
+    payload: data,
+    status: "pending",
+    attempts: 0,
+    next_attempt_at: nowIso(),
+    last_attempt_at: null,
+    response_status: null,
+    last_error: "",
+    delivered_at: null,
+    created_at: nowIso()
+  };
+  insertRow("webhook_deliveries", delivery);
+  return delivery;
+}
+
+function emitWebhookEvent(event, buildData) {
+  const targets = state.webhooks.filter((webhook) => webhook.active && webhook.events.includes(event));
+  if (targets.length === 0) return;
+  const data = buildData();
+  for (const webhook of targets) queueWebhookDelivery(webhook, event, data);
+}
+
+function getWebhooks() {
+  const counts = new Map();
+  for (const delivery of state.webhook_deliveries) {
+    const bucket = bucketOf(counts, delivery.webhook_id, () => ({ pending: 0, delivered: 0, failed: 0 }));
+    bucket[delivery.status] = (bucket[delivery.status] || 0) + 1;
+  }
+  return [...state.webhooks]
+    .sort((a, b) => a.id - b.id)
+    .map((webhook) => ({
+      ...webhook,
+      delivery_counts: counts.get(webhook.id) || { pending: 0, delivered: 0, failed: 0 }
+    }));
+}
+
+function getWebhookById(id) {
+  return state.webhooks.find((webhook) => webhook.id === toInt(id)) || null;
+}
+
+function createWebhook({ url, description, secret, events, created_by_user_id }) {
+  const webhook = {
+    id: nextId("webhooks"),
+    url: String(url),
+    description: String(description || "").slice(0, 200),
+    secret: String(secret),
+    events: WEBHOOK_EVENTS.filter((event) => (events || []).includes(event)),
+    active: true,
+    created_by_user_id: toInt(created_by_user_id) || null,
+    created_at: nowIso()
+  };
+  insertRow("webhooks", webhook);
+  enqueueWrite();
+  return webhook;
+}
+
+function setWebhookActive(id, active) {
+  const webhook = getWebhookById(id);
+  if (!webhook) return null;
+  webhook.active = Boolean(active);
+  markChanged("webhooks", webhook);
+  enqueueWrite();
+  return webhook;
+}
+
+function deleteWebhook(id) {
+  const webhook = getWebhookById(id);
+  if (!webhook) return null;
+  removeRows("webhooks", (item) => item.id === webhook.id);
+  removeRows("webhook_deliveries", (delivery) => delivery.webhook_id === webhook.id);
+  enqueueWrite();
+  return webhook;
+}
+
+function queueWebhookPing(id, actorUserId) {
+  const webhook = getWebhookById(id);
+  if (!webhook) return null;
+  const delivery = queueWebhookDelivery(webhook, "ping", { webhook_id: webhook.id, sent_by: userRef(actorUserId) });
+  enqueueWrite();
+  return delivery;
+}
+
+function getDueWebhookDeliveries(now = Date.now(), limit = 20) {
+  const webhooks = new Map(state.webhooks.map((webhook) => [webhook.id, webhook]));
+  return state.webhook_deliveries
+    .filter((delivery) => delivery.status === "pending" && new Date(delivery.next_attempt_at).getTime() <= now)
+    .filter((delivery) => webhooks.has(delivery.webhook_id) && webhooks.get(delivery.webhook_id).active)
+    .sort((a, b) => a.id - b.id)
+    .slice(0, limit)
+    .map((delivery) => ({ delivery, webhook: webhooks.get(delivery.webhook_id) }));
+}
+
+function recordWebhookAttempt(deliveryId, { ok, responseStatus = null, error = "" }, now = Date.now()) {
+  const delivery = state.webhook_deliveries.find((item) => item.id === toInt(deliveryId));
+  if (!delivery) return null;
+  delivery.attempts += 1;
+  delivery.last_attempt_at = new Date(now).toISOString();
+  delivery.response_status = responseStatus;
+  delivery.last_error = ok ? "" : String(error || `HTTP ${responseStatus}`).slice(0, 300);
+  if (ok) {
+    delivery.status = "delivered";
+    delivery.delivered_at = delivery.last_attempt_at;
+  } else if (delivery.attempts >= WEBHOOK_MAX_ATTEMPTS) {
+    delivery.status = "failed";
+  } else {
+    const delay = WEBHOOK_RETRY_BASE_MS * 2 ** (delivery.attempts - 1);
+    delivery.next_attempt_at = new Date(now + delay).toISOString();
+  }
+  markChanged("webhook_deliveries", delivery);
+  enqueueWrite();
+  return delivery;
+}
+
+function retryWebhookDelivery(deliveryId) {
+  const delivery = state.webhook_deliveries.find((item) => item.id === toInt(deliveryId));
+  if (!delivery || delivery.status === "pending") return null;
+  delivery.status = "pending";
+  delivery.attempts = 0;
+  delivery.next_attempt_at = nowIso();
+  markChanged("webhook_deliveries", delivery);
+  enqueueWrite();
+  return delivery;
+}
+
+function pruneWebhookDeliveries(now = Date.now()) {
+  const cutoff = now - WEBHOOK_LOG_RETENTION_MS;
+  const pruned = removeRows(
+    "webhook_deliveries",
+    (delivery) => delivery.status !== "pending" && new Date(delivery.created_at).getTime() < cutoff
+  );
+  if (pruned.length > 0) enqueueWrite();
+}
+
+function getWebhookDeliveries({ webhookId = null, status = "all", page = 1, pageSize = 30 } = {}) {
+  const webhooks = new Map(state.webhooks.map((webhook) => [webhook.id, webhook]));
+  const filtered = state.webhook_deliveries
+    .filter((delivery) => !webhookId || delivery.webhook_id === toInt(webhookId))
+    .filter((delivery) => status === "all" || delivery.status === status)
+    .sort((a, b) => b.id - a.id);
+  const paged = paginate(filtered, page, pageSize);
+  return {
+    ...paged,
+    items: paged.items.map((delivery) => ({
+      ...delivery,
+      webhook_url: webhooks.has(delivery.webhook_id) ? webhooks.get(delivery.webhook_id).url : ""
+    }))
+  };
+}
+
+// Autocomplete for @mentions: skips the viewer and anyone on either side of a block with them.
+function searchUsernames(prefix, { limit = 8, viewerId = null } = {}) {
+  const needle = normalizeText(prefix);
+  if (!needle) return [];
+  return state.users
+    .filter((user) => user.status !== "banned" && user.id !== toInt(viewerId))
+    .filter((user) => user.username.toLowerCase().startsWith(needle))
+    .filter((user) => !hasBlocked(viewerId, user.id) && !hasBlocked(user.id, viewerId))
+    .sort((a, b) => a.username.length - b.username.length || a.username.localeCompare(b.username))
+    .slice(0, limit)
+    .map((user) => ({ username: user.username, avatar_url: avatarThumb(user) }));
+}
+
+function searchWords(text) {
+  return normalizeText(text)
+    .split(/\s+/)
+    .map((word) => word.replace(/^[@#]+/, "").replace(/ё/g, "е"))
+    .filter(Boolean);
+}
+
+function matchesWords(values, words) {
+  const haystack = values.map((value) => normalizeText(value).replace(/ё/g, "е"));
+  return words.some((word) => haystack.some((value) => value.includes(word)));
+}
+
+// People whose username or bio contains one of the words; username prefix matches first, then by followers.
+function searchUsers(text, { limit = 6 } = {}) {
+  const words = searchWords(text);
+  if (words.length === 0) return [];
+  const { followersByUser } = getIndexes();
+  const followerCount = (user) => (followersByUser.get(user.id) || new Set()).size;
+  const prefixMatch = (user) => words.some((word) => user.username.toLowerCase().startsWith(word));
+  return state.users
+    .filter((user) => user.status !== "banned" && matchesWords([user.username, user.bio], words))
+    .sort((a, b) => prefixMatch(b) - prefixMatch(a) || followerCount(b) - followerCount(a))
+    .slice(0, limit)
+    .map((user) => ({
+      username: user.username,
+      bio: user.bio || "",
+      avatar_url: avatarThumb(user),
+      follower_count: followerCount(user)
+    }));
+}
+
+// Tags whose name or slug contains one of the words, most used first.
+function searchTags(text, { limit = 10 } = {}) {
+  const words = searchWords(text);
+  if (words.length === 0) return [];
+  const { postIdsByTag } = getIndexes();
+  return state.tags
+    .filter((tag) => matchesWords([tag.name, tag.slug], words))
+    .map((tag) => ({
+      id: tag.id,
+      name: tag.name,
+      slug: tag.slug,
+      usage_count: postIdsByTag.has(tag.id) ? postIdsByTag.get(tag.id).size : 0
+    }))
+    .sort((a, b) => b.usage_count - a.usage_count || a.name.localeCompare(b.name))
+    .slice(0, limit);
+}
+
 function getUserPosts(userId, viewerId) {
   const viewer = viewerId ? toPublicUser(getUserById(viewerId)) : null;
-  const posts = state.posts
-    .filter((post) => post.user_id === toInt(userId))
-    .sort((a, b) => new Date(b.created_at).getTime() - new Date(a.created_at).getTime())
+  const posts = [...(getIndexes().postsByUser.get(toInt(userId)) || [])]
+    .filter((post) => isPostLive(post))
+    .sort((a, b) => postTimestamp(b) - postTimestamp(a))
     .filter((post) => canSeeHiddenPost(post, viewer));
   return posts.map((post) => decoratePost(post, viewerId));
 }
 
-function getUserBookmarks(userId, { page = 1, pageSize = 10 } = {}) {
+function getUserPostsPage(userId, viewerId, { cursor = null, pageSize = 10 } = {}) {
+  const viewer = viewerId ? toPublicUser(getUserById(viewerId)) : null;
+  const posts = [...(getIndexes().postsByUser.get(toInt(userId)) || [])].filter(
+    (post) => isPostLive(post) && canSeeHiddenPost(post, viewer)
+  );
+  const paged = paginateByCursor(sortByKeyDesc(posts, newestKey), { order: "new", keyOf: newestKey, cursor, pageSize });
+  return {
+    ...paged,
+    like_total: posts.reduce((sum, post) => sum + countLikes(post.id), 0),
+    items: paged.items.map((post) => decoratePost(post, viewerId))
+  };
+}
+
+function getUserDrafts(userId) {
+  return [...(getIndexes().postsByUser.get(toInt(userId)) || [])]
+    .filter((post) => !isPostLive(post))
+    .sort((a, b) => {
+      const aTime = new Date(a.updated_at || a.created_at).getTime();
+      const bTime = new Date(b.updated_at || b.created_at).getTime();
+      return bTime - aTime;
+    })
+    .map((post) => decoratePost(post, userId));
+}
+
+// Files under /uploads/ that the user's posts and drafts already use, mapped to their thumbnails.
+function getUserUploads(userId) {
+  const uploads = new Map();
+  for (const post of getIndexes().postsByUser.get(toInt(userId)) || []) {
+    for (const item of post.media_items) {
+      if (item.url.startsWith("/uploads/")) uploads.set(item.url, item.thumb_url || "");
+    }
+  }
+  return uploads;
+}
+
+function getUserBookmarks(userId, { cursor = null, pageSize = 10 } = {}) {
   const viewer = toPublicUser(getUserById(userId));
-  const postIds = state.bookmarks
-    .filter((bookmark) => bookmark.user_id === toInt(userId))
-    .sort((a, b) => new Date(b.created_at).getTime() - new Date(a.created_at).getTime())
-    .map((bookmark) => bookmark.post_id);
-  const posts = postIds
+  const savedAt = new Map();
+  for (const bookmark of state.bookmarks) {
+    if (bookmark.user_id === toInt(userId)) savedAt.set(bookmark.post_id, new Date(bookmark.created_at).getTime());
+  }
+  const keyOf = (post) => [savedAt.get(post.id), post.id];
+  const posts = [...savedAt.keys()]
     .map((postId) => getPostRawById(postId))
     .filter(Boolean)
-    .filter((post) => canSeeHiddenPost(post, viewer));
-  const paged = paginate(posts, page, pageSize);
+    .filter((post) => isPostLive(post) && canSeeHiddenPost(post, viewer));
+  const paged = paginateByCursor(sortByKeyDesc(posts, keyOf), { order: "saved", keyOf, cursor, pageSize });
   return {
     ...paged,
     items: paged.items.map((post) => decoratePost(post, userId))
@@ -970,38 +2495,44 @@ function getUserBookmarks(userId, { page = 1, pageSize = 10 } = {}) {
 }
 
 function getTrendingPosts(limit = 5) {
-  return [...state.posts]
-    .filter((post) => !post.is_hidden)
+  return cachedRail(`trending:${limit}`, () => computeTrendingPosts(limit));
+}
+
+function computeTrendingPosts(limit) {
+  return sortByKeyDesc(
+    state.posts.filter((post) => !post.is_hidden && isPostLive(post)),
+    feedSortKey("hot")
+  )
+    .slice(0, limit)
     .map((post) => {
       const author = getUserById(post.user_id);
       return {
         id: post.id,
         title: post.title,
+        path: postPath(post),
         author_username: author ? author.username : "deleted",
-        like_count: countLikes(post.id),
-        created_at: post.created_at
+        like_count: countLikes(post.id)
       };
-    })
-    .sort((a, b) => {
-      if (b.like_count === a.like_count) {
-        return new Date(b.created_at).getTime() - new Date(a.created_at).getTime();
-      }
-      return b.like_count - a.like_count;
-    })
-    .slice(0, limit)
-    .map(({ created_at, ...rest }) => rest);
+    });
 }
 
 function getTopCreators(limit = 5) {
+  return cachedRail(`creators:${limit}`, () => computeTopCreators(limit));
+}
+
+function computeTopCreators(limit) {
   return state.users
     .map((user) => {
-      const posts = state.posts.filter((post) => post.user_id === user.id && !post.is_hidden);
+      const posts = [...(getIndexes().postsByUser.get(user.id) || [])].filter(
+        (post) => !post.is_hidden && isPostLive(post)
+      );
       const likes = posts.reduce((sum, post) => sum + countLikes(post.id), 0);
       return {
         username: user.username,
-        avatar_url: user.avatar_url || "",
+        avatar_url: avatarThumb(user),
         post_count: posts.length,
         received_likes: likes,
+        follower_count: countFollowers(user.id),
         role: user.role,
         created_at: user.created_at
       };
@@ -1020,16 +2551,17 @@ function getTopCreators(limit = 5) {
 }
 
 function getPopularTags(limit = 20) {
-  const usage = new Map();
-  for (const relation of state.post_tags) {
-    usage.set(relation.tag_id, (usage.get(relation.tag_id) || 0) + 1);
-  }
-  return [...state.tags]
+  return cachedRail(`tags:${limit}`, () => computePopularTags(limit));
+}
+
+function computePopularTags(limit) {
+  const { postIdsByTag } = getIndexes();
+  return state.tags
     .map((tag) => ({
       id: tag.id,
       name: tag.name,
       slug: tag.slug,
-      usage_count: usage.get(tag.id) || 0
+      usage_count: postIdsByTag.has(tag.id) ? postIdsByTag.get(tag.id).size : 0
     }))
     .sort((a, b) => {
       if (b.usage_count === a.usage_count) {
@@ -1041,7 +2573,7 @@ function getPopularTags(limit = 20) {
 }
 
 function getCommentRawById(commentId) {
-  return state.comments.find((comment) => comment.id === toInt(commentId)) || null;
+  return getIndexes().commentsById.get(toInt(commentId)) || null;
 }
 
 function buildCommentPath(parent, newCommentId) {
@@ -1069,7 +2601,45 @@ function addComment({ user_id, post_id, body, parent_comment_id = null }) {
     hidden_reason: "",
     created_at: nowIso()
   };
-  state.comments.push(comment);
+  insertRow("comments", comment);
+  const post = getPostRawById(comment.post_id);
+  const notified = [comment.user_id];
+  if (parent) {
+    createNotification({
+      user_id: parent.user_id,
+      actor_user_id: comment.user_id,
+      type: "reply",
+      post_id: comment.post_id,
+      comment_id: comment.id
+    });
+    notified.push(parent.user_id);
+  }
+  if (post && !notified.includes(post.user_id)) {
+    createNotification({
+      user_id: post.user_id,
+      actor_user_id: comment.user_id,
+      type: "comment",
+      post_id: comment.post_id,
+      comment_id: comment.id
+    });
+    notified.push(post.user_id);
+  }
+  notifyMentions({
+    actor_user_id: comment.user_id,
+    text: comment.body,
+    post_id: comment.post_id,
+    comment_id: comment.id,
+    skipUserIds: notified
+  });
+  emitWebhookEvent("comment.created", () => ({
+    id: comment.id,
+    post_id: comment.post_id,
+    parent_id: comment.parent_comment_id,
+    body: comment.body,
+    path: `${postPath(getPostRawById(comment.post_id))}#comment-${comment.id}`,
+    author: userRef(comment.user_id),
+    created_at: comment.created_at
+  }));
   enqueueWrite();
   return comment;
 }
@@ -1079,6 +2649,7 @@ function hideComment(commentId, reason = "") {
   if (!comment) return null;
   comment.is_hidden = true;
   comment.hidden_reason = String(reason || "");
+  markChanged("comments", comment);
   enqueueWrite();
   return comment;
 }
@@ -1088,6 +2659,7 @@ function unhideComment(commentId) {
   if (!comment) return null;
   comment.is_hidden = false;
   comment.hidden_reason = "";
+  markChanged("comments", comment);
   enqueueWrite();
   return comment;
 }
@@ -1099,8 +2671,7 @@ function getCommentReactions(commentId) {
     fire: 0,
     clap: 0
   };
-  for (const reaction of state.comment_reactions) {
-    if (reaction.comment_id !== toInt(commentId)) continue;
+  for (const reaction of getIndexes().reactionsByComment.get(toInt(commentId)) || []) {
     if (isReaction(reaction.reaction_type)) {
       counts[reaction.reaction_type] += 1;
     }
@@ -1110,8 +2681,8 @@ function getCommentReactions(commentId) {
 
 function getViewerCommentReactions(commentId, viewerId) {
   if (!viewerId) return [];
-  return state.comment_reactions
-    .filter((reaction) => reaction.comment_id === toInt(commentId) && reaction.user_id === toInt(viewerId))
+  return [...(getIndexes().reactionsByComment.get(toInt(commentId)) || [])]
+    .filter((reaction) => reaction.user_id === toInt(viewerId))
     .map((reaction) => reaction.reaction_type);
 }
 
@@ -1124,17 +2695,18 @@ function toggleCommentReaction({ userId, commentId, reactionType }) {
       item.reaction_type === reactionType
   );
   if (existing) {
-    state.comment_reactions = state.comment_reactions.filter((item) => item.id !== existing.id);
+    removeRows("comment_reactions", (item) => item.id === existing.id);
     enqueueWrite();
     return false;
   }
-  state.comment_reactions.push({
+  const reaction = {
     id: nextId("comment_reactions"),
     comment_id: toInt(commentId),
     user_id: toInt(userId),
     reaction_type: reactionType,
     created_at: nowIso()
-  });
+  };
+  insertRow("comment_reactions", reaction);
   enqueueWrite();
   return true;
 }
@@ -1156,7 +2728,7 @@ function getPostComments(postId, viewerId) {
       hidden_reason: comment.hidden_reason,
       author_id: author ? author.id : null,
       author_username: author ? author.username : "deleted",
-      author_avatar_url: author ? author.avatar_url || "" : "",
+      author_avatar_url: avatarThumb(author),
       reactions: getCommentReactions(comment.id),
       viewer_reactions: getViewerCommentReactions(comment.id, viewerId)
     };
@@ -1176,7 +2748,16 @@ function createReport({ reporter_user_id, target_type, target_id, reason_code, r
     created_at: nowIso(),
     resolved_at: null
   };
-  state.reports.push(report);
+  insertRow("reports", report);
+  emitWebhookEvent("report.created", () => ({
+    id: report.id,
+    target_type: report.target_type,
+    target_id: report.target_id,
+    reason_code: report.reason_code,
+    reason_text: report.reason_text,
+    reporter: userRef(report.reporter_user_id),
+    created_at: report.created_at
+  }));
   enqueueWrite();
   return report;
 }
@@ -1191,11 +2772,52 @@ function addModerationAction({ actor_user_id, action_type, target_type, target_i
     notes: String(notes || ""),
     created_at: nowIso()
   };
-  state.moderation_actions.push(action);
+  insertRow("moderation_actions", action);
+  notifyModerationOutcome(action);
+  emitWebhookEvent("moderation.action", () => ({
+    id: action.id,
+    action_type: action.action_type,
+    target_type: action.target_type,
+    target_id: action.target_id,
+    notes: action.notes,
+    actor: userRef(action.actor_user_id),
+    created_at: action.created_at
+  }));
   enqueueWrite();
   return action;
 }
 
+const MODERATION_OUTCOMES = {
+  "post.hide": "hid your publication",
+  "post.unhide": "restored your publication",
+  "comment.hide": "hid your comment",
+  "comment.unhide": "restored your comment",
+  "report.resolved": "resolved your report",
+  "report.dismissed": "dismissed your report",
+  "user.suspend": "suspended your account",
+  "user.ban": "banned your account"
+};
+
+function notifyModerationOutcome(action) {
+  const detail = MODERATION_OUTCOMES[action.action_type];
+  if (!detail) return;
+  const base = { actor_user_id: action.actor_user_id, type: "moderation", detail };
+  if (action.target_type === "post") {
+    const post = getPostRawById(action.target_id);
+    if (post) createNotification({ ...base, user_id: post.user_id, post_id: post.id });
+  } else if (action.target_type === "comment") {
+    const comment = getCommentRawById(action.target_id);
+    if (comment) {
+      createNotification({ ...base, user_id: comment.user_id, post_id: comment.post_id, comment_id: comment.id });
+    }
+  } else if (action.target_type === "report") {
+    const report = getReportById(action.target_id);
+    if (report) createNotification({ ...base, user_id: report.reporter_user_id });
+  } else if (action.target_type === "user") {
+    createNotification({ ...base, user_id: action.target_id });
+  }
+}
+
 function getReports({ status = "open", page = 1, pageSize = 20 } = {}) {
   const filtered = state.reports
     .filter((report) => {
@@ -1229,6 +2851,7 @@ function assignReport(reportId, moderatorId) {
   if (report.status === "open") {
     report.status = "in_review";
   }
+  markChanged("reports", report);
   enqueueWrite();
   return report;
 }
@@ -1239,6 +2862,7 @@ function resolveReport(reportId, status) {
   if (!["resolved", "dismissed"].includes(status)) return null;
   report.status = status;
   report.resolved_at = nowIso();
+  markChanged("reports", report);
   enqueueWrite();
   return report;
 }
@@ -1264,84 +2888,279 @@ function getAdminUserList() {
     return {
       ...toPublicUser(user),
       post_count: postCount,
-      report_count: reportCount
+      report_count: reportCount,
+      api_tokens: getUserApiTokens(user.id)
     };
   });
 }
 
+// Live, visible posts by active authors, plus those authors and the categories and tags of their posts.
+function getSitemapEntries() {
+  const activeUserIds = new Set(state.users.filter((user) => user.status === "active").map((user) => user.id));
+  const lastPostByUser = new Map();
+  const lastPostByCategory = new Map();
+  const posts = [];
+  for (const post of getIndexes().postsByTime) {
+    if (!isPostLive(post) || post.is_hidden || !activeUserIds.has(post.user_id)) continue;
+    const lastmod = new Date(Math.max(postTimestamp(post), new Date(post.updated_at || 0).getTime())).toISOString();
+    posts.push({ id: post.id, title: post.title, path: postPath(post), lastmod });
+    if (!lastPostByUser.has(post.user_id)) lastPostByUser.set(post.user_id, lastmod);
+    if (!lastPostByCategory.has(post.category_id)) lastPostByCategory.set(post.category_id, lastmod);
+  }
+  const { tagIdsByPost } = getIndexes();
+  const usedTagIds = new Set(posts.flatMap((post) => [...(tagIdsByPost.get(post.id) || [])]));
+  return {
+    posts,
+    users: state.users
+      .filter((user) => lastPostByUser.has(user.id))
+      .map((user) => ({ username: user.username, lastmod: lastPostByUser.get(user.id) })),
+    categories: getAllCategories().map((category) => ({
+      slug: category.slug,
+      lastmod: lastPostByCategory.get(category.id) || null
+    })),
+    tags: state.tags
+      .filter((tag) => tag.slug && usedTagIds.has(tag.id))
+      .map((tag) => ({ slug: tag.slug }))
+  };
+}
+
 function getBookmarkCountForUser(userId) {
   return state.bookmarks.filter((bookmark) => bookmark.user_id === toInt(userId)).length;
 }
 
-function getUserNotifications(userId, limit = 20) {
-  const viewerId = toInt(userId);
-  if (viewerId <= 0) return [];
+function createNotification({ user_id, actor_user_id, type, post_id = null, comment_id = null, detail = "" }) {
+  const recipient = getUserById(user_id);
+  const actorId = toInt(actor_user_id);
+  if (!recipient || recipient.id === actorId || !NOTIFICATION_TYPES.includes(type)) return null;
+  const delivery = normalizeNotificationPrefs(recipient.notification_prefs)[type];
+  if (delivery === "off") return null;
+  if (type !== "moderation" && hasBlocked(recipient.id, actorId)) return null;
+  const notification = {
+    id: nextId("notifications"),
+    user_id: recipient.id,
+    actor_user_id: actorId,
+    type,
+    post_id: post_id ? toInt(post_id) : null,
+    comment_id: comment_id ? toInt(comment_id) : null,
+    detail: String(detail || ""),
+    delivery,
+    created_at: nowIso(),
+    read_at: null,
+    emailed_at: null
+  };
+  insertRow("notifications", notification);
+  return notification;
+}
 
-  const ownPostIds = new Set(
-    state.posts.filter((post) => post.user_id === viewerId).map((post) => post.id)
+function hasNotification({ user_id, type, post_id = null, comment_id = null }) {
+  return [...(getIndexes().notificationsByUser.get(toInt(user_id)) || [])].some(
+    (item) =>
+      item.type === type &&
+      item.post_id === (post_id ? toInt(post_id) : null) &&
+      item.comment_id === (comment_id ? toInt(comment_id) : null)
   );
-  if (ownPostIds.size === 0) return [];
+}
 
-  const items = [];
+// Toggling a like/bookmark/follow off withdraws the notice unless the recipient already saw it.
+function withdrawNotification({ actor_user_id, type, post_id = null, user_id = null }) {
+  const withdrawn = (item) =>
+    !item.read_at &&
+    item.type === type &&
+    item.actor_user_id === toInt(actor_user_id) &&
+    (post_id === null || item.post_id === toInt(post_id)) &&
+    (user_id === null || item.user_id === toInt(user_id));
+  removeRows("notifications", withdrawn);
+}
 
-  for (const like of state.likes) {
-    if (!ownPostIds.has(like.post_id) || like.user_id === viewerId) continue;
-    const actor = getUserById(like.user_id);
-    const post = getPostRawById(like.post_id);
-    if (!actor || !post) continue;
-    items.push({
-      id: `like-${like.id}`,
-      type: "like",
-      actor_username: actor.username,
-      actor_avatar_url: actor.avatar_url || "",
-      post_id: post.id,
-      message: "liked your publication",
-      context: post.title,
-      created_at: like.created_at || nowIso()
-    });
+function extractMentionedUsers(text) {
+  const found = new Map();
+  for (const name of findMentionNames(text)) {
+    const user = getUserByUsername(name);
+    if (user) found.set(user.id, user);
   }
+  return [...found.values()];
+}
 
-  for (const comment of state.comments) {
-    if (!ownPostIds.has(comment.post_id) || comment.user_id === viewerId) continue;
-    const actor = getUserById(comment.user_id);
-    const post = getPostRawById(comment.post_id);
-    if (!actor || !post) continue;
-    items.push({
-      id: `comment-${comment.id}`,
-      type: "comment",
-      actor_username: actor.username,
-      actor_avatar_url: actor.avatar_url || "",
-      post_id: post.id,
-      message: "commented on your publication",
-      context: summarize(comment.body, 80),
-      created_at: comment.created_at || nowIso()
-    });
+function notifyMentions({ actor_user_id, text, post_id, comment_id = null, skipUserIds = [] }) {
+  for (const user of extractMentionedUsers(text)) {
+    if (skipUserIds.includes(user.id)) continue;
+    if (hasNotification({ user_id: user.id, type: "mention", post_id, comment_id })) continue;
+    createNotification({ user_id: user.id, actor_user_id, type: "mention", post_id, comment_id });
   }
+}
 
-  for (const bookmark of state.bookmarks) {
-    if (!ownPostIds.has(bookmark.post_id) || bookmark.user_id === viewerId) continue;
-    const actor = getUserById(bookmark.user_id);
-    const post = getPostRawById(bookmark.post_id);
-    if (!actor || !post) continue;
-    items.push({
-      id: `bookmark-${bookmark.id}`,
-      type: "bookmark",
-      actor_username: actor.username,
-      actor_avatar_url: actor.avatar_url || "",
-      post_id: post.id,
-      message: "bookmarked your publication",
-      context: post.title,
-      created_at: bookmark.created_at || nowIso()
-    });
+// Safe to call on every save: followers and mentioned users are only notified once per post.
+function notifyPostAudience(post) {
+  if (!isPostLive(post) || post.is_hidden) return;
+  for (const followerId of getIndexes().followersByUser.get(post.user_id) || []) {
+    if (hasNotification({ user_id: followerId, type: "new_post", post_id: post.id })) continue;
+    createNotification({ user_id: followerId, actor_user_id: post.user_id, type: "new_post", post_id: post.id });
   }
+  notifyMentions({ actor_user_id: post.user_id, text: post.markdown_body, post_id: post.id });
+}
+
+const NOTIFICATION_MESSAGES = {
+  like: "liked your publication",
+  comment: "commented on your publication",
+  reply: "replied to your comment",
+  bookmark: "bookmarked your publication",
+  follow: "started following you",
+  new_post: "published a new post",
+  mention: "mentioned you",
+  moderation: "reviewed your content"
+};
 
-  return items
-    .sort((a, b) => {
-      const diff = new Date(b.created_at).getTime() - new Date(a.created_at).getTime();
-      if (diff !== 0) return diff;
-      return String(b.id).localeCompare(String(a.id));
+const NOTIFICATION_LABELS = {
+  comment: "Comments on your publications",
+  reply: "Replies to your comments",
+  mention: "Mentions",
+  like: "Likes",
+  bookmark: "Bookmarks",
+  follow: "New followers",
+  new_post: "New posts from creators you follow",
+  moderation: "Moderation outcomes"
+};
+
+function decorateNotification(notification) {
+  const actor = getUserById(notification.actor_user_id);
+  const post = notification.post_id ? getPostRawById(notification.post_id) : null;
+  const comment = notification.comment_id ? getCommentRawById(notification.comment_id) : null;
+  if (!actor || (notification.post_id && !post) || (notification.comment_id && !comment)) return null;
+  const isModeration = notification.type === "moderation";
+  let url = isModeration ? "/notifications" : `/u/${actor.username}`;
+  if (post) url = comment ? `${postPath(post)}#comment-${comment.id}` : postPath(post);
+  return {
+    id: notification.id,
+    type: notification.type,
+    // Moderation notices come from the team, not from a named moderator.
+    actor_username: isModeration ? "Moderators" : actor.username,
+    actor_avatar_url: isModeration ? "" : avatarThumb(actor),
+    post_id: post ? post.id : null,
+    url,
+    message: notification.detail || NOTIFICATION_MESSAGES[notification.type],
+    // Catalog key for the message; moderation notices store their English outcome, so look its action type back up.
+    message_key:
+      Object.keys(MODERATION_OUTCOMES).find((type) => MODERATION_OUTCOMES[type] === notification.detail) ||
+      notification.type,
+    context: comment ? summarize(comment.body, 80) : post ? post.title : isModeration ? "" : `@${actor.username}`,
+    created_at: notification.created_at,
+    is_read: Boolean(notification.read_at)
+  };
+}
+
+function getUserNotifications(userId, { page = 1, pageSize = 20 } = {}) {
+  const own = [...(getIndexes().notificationsByUser.get(toInt(userId)) || [])]
+    .map(decorateNotification)
+    .filter(Boolean)
+    .sort((a, b) => b.id - a.id);
+  return paginate(own, page, pageSize);
+}
+
+function getNotificationPrefs(userId) {
+  const user = getUserById(userId);
+  const prefs = normalizeNotificationPrefs(user ? user.notification_prefs : null);
+  return NOTIFICATION_TYPES.map((type) => ({ type, label: NOTIFICATION_LABELS[type], delivery: prefs[type] }));
+}
+
+function updateNotificationPrefs(userId, prefs) {
+  const user = getUserById(userId);
+  if (!user) return null;
+  user.notification_prefs = normalizeNotificationPrefs({ ...user.notification_prefs, ...prefs });
+  markChanged("users", user);
+  enqueueWrite();
+  return user.notification_prefs;
+}
+
+// Unsubscribing keeps the in-app notices and only stops email for the given type (or every type).
+function unsubscribeNotificationEmails(userId, type) {
+  const user = getUserById(userId);
+  if (!user || (type !== "all" && !NOTIFICATION_TYPES.includes(type))) return null;
+  const prefs = normalizeNotificationPrefs(user.notification_prefs);
+  for (const key of type === "all" ? NOTIFICATION_TYPES : [type]) {
+    if (prefs[key] === "instant" || prefs[key] === "digest") prefs[key] = "in_app";
+  }
+  user.notification_prefs = prefs;
+  markChanged("users", user);
+  enqueueWrite();
+  return prefs;
+}
+
+// Moderation outcomes still reach suspended and banned users; everything else is for active accounts only.
+function canReceiveEmail(user, type) {
+  return Boolean(user && user.email && user.email_verified && (type === "moderation" || user.status === "active"));
+}
+
+function getPendingEmailNotifications(delivery, now = Date.now()) {
+  const batches = new Map();
+  for (const notification of state.notifications) {
+    if (notification.delivery !== delivery || notification.emailed_at || notification.read_at) continue;
+    const user = getUserById(notification.user_id);
+    if (!canReceiveEmail(user, notification.type)) continue;
+    const item = decorateNotification(notification);
+    if (!item) continue;
+    if (!batches.has(user.id)) {
+      batches.set(user.id, { user: toPublicUser(user), last_digest_at: user.last_digest_at, items: [] });
+    }
+    batches.get(user.id).items.push(item);
+  }
+  // A digest is due a day after the previous one, or a day after the oldest pending item for a first digest.
+  return [...batches.values()]
+    .filter((batch) => {
+      if (delivery !== "digest") return true;
+      const anchor = batch.last_digest_at || batch.items[0].created_at;
+      return now - new Date(anchor).getTime() >= DIGEST_INTERVAL_MS;
     })
-    .slice(0, Math.max(1, toInt(limit) || 20));
+    .map(({ last_digest_at, ...batch }) => batch);
+}
+
+function markNotificationsEmailed(userId, notificationIds, { digest = false } = {}) {
+  const ids = new Set(notificationIds.map(toInt));
+  const sentAt = nowIso();
+  for (const notification of state.notifications) {
+    if (notification.user_id === toInt(userId) && ids.has(notification.id)) {
+      notification.emailed_at = sentAt;
+      markChanged("notifications", notification);
+    }
+  }
+  const user = getUserById(userId);
+  if (digest && user) {
+    user.last_digest_at = sentAt;
+    markChanged("users", user);
+  }
+  enqueueWrite();
+}
+
+function countUnreadNotifications(userId) {
+  let unread = 0;
+  for (const item of getIndexes().notificationsByUser.get(toInt(userId)) || []) {
+    if (!item.read_at) unread += 1;
+  }
+  return unread;
+}
+
+function markNotificationRead(userId, notificationId) {
+  const own = getIndexes().notificationsByUser.get(toInt(userId)) || [];
+  const notification = [...own].find((item) => item.id === toInt(notificationId)) || null;
+  if (!notification) return null;
+  if (!notification.read_at) {
+    notification.read_at = nowIso();
+    markChanged("notifications", notification);
+    enqueueWrite();
+  }
+  return notification;
+}
+
+function markAllNotificationsRead(userId) {
+  let updated = 0;
+  const readAt = nowIso();
+  for (const notification of getIndexes().notificationsByUser.get(toInt(userId)) || []) {
+    if (notification.read_at) continue;
+    notification.read_at = readAt;
+    markChanged("notifications", notification);
+    updated += 1;
+  }
+  if (updated > 0) enqueueWrite();
+  return updated;
 }
 
 module.exports = {
@@ -1350,11 +3169,25 @@ module.exports = {
   ROLES,
   USER_STATUS,
   REPORT_STATUS,
+  REPORT_REASONS,
+  POST_STATUS,
+  SUBSCRIPTION_TARGETS,
+  NOTIFICATION_TYPES,
+  NOTIFICATION_DELIVERY,
+  TOKEN_SCOPES,
+  WEBHOOK_EVENTS,
+  MEDIA_TYPES,
+  MAX_MEDIA_ITEMS,
+  FEED_SORTS,
+  FEED_PERIODS,
   toPublicUser,
   isModeratorRole,
   isAdminRole,
   canUserModerate,
   canUserAdmin,
+  isPostLive,
+  postSlug,
+  postPath,
   summarize,
   computeReadingTime,
   getUserById,
@@ -1368,18 +3201,25 @@ module.exports = {
   getUserByResetTokenHash,
   resetPasswordByTokenHash,
   updateUserProfile,
+  updateUserLocale,
   updateUserRole,
   updateUserStatus,
   getAllCategories,
   getCategoryById,
   getCategoryBySlug,
   getTagBySlug,
+  getTagSummary,
   getPopularTags,
   getFeedPosts,
   getSearchPosts,
   createPost,
   getPostById,
   getPostByIdForModeration,
+  updatePost,
+  saveDraft,
+  publishDuePosts,
+  deletePost,
+  getPostRevisions,
   hidePost,
   unhidePost,
   hasLike,
@@ -1387,6 +3227,9 @@ module.exports = {
   hasBookmark,
   toggleBookmark,
   getUserPosts,
+  getUserPostsPage,
+  getUserDrafts,
+  getUserUploads,
   getUserBookmarks,
   getTrendingPosts,
   getTopCreators,
@@ -1405,5 +3248,44 @@ module.exports = {
   getModerationActionsForTarget,
   getAdminUserList,
   getBookmarkCountForUser,
-  getUserNotifications
+  getSitemapEntries,
+  getUserNotifications,
+  countUnreadNotifications,
+  markNotificationRead,
+  markAllNotificationsRead,
+  getNotificationPrefs,
+  updateNotificationPrefs,
+  unsubscribeNotificationEmails,
+  getPendingEmailNotifications,
+  markNotificationsEmailed,
+  isFollowing,
+  toggleFollow,
+  getFollowedUserIds,
+  getFollowCounts,
+  hasBlocked,
+  toggleBlock,
+  getBlockedUsers,
+  searchUsernames,
+  createApiToken,
+  getActiveApiTokenByHash,
+  touchApiToken,
+  getUserApiTokens,
+  revokeApiToken,
+  getWebhooks,
+  getWebhookById,
+  createWebhook,
+  setWebhookActive,
+  deleteWebhook,
+  queueWebhookPing,
+  getDueWebhookDeliveries,
+  recordWebhookAttempt,
+  retryWebhookDelivery,
+  pruneWebhookDeliveries,
+  getWebhookDeliveries,
+  searchUsers,
+  searchTags,
+  toggleTopicSubscription,
+  getUserTopicSubscriptions,
+  compactStorage,
+  exportState
 };
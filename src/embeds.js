@@ -0,0 +1,164 @@
+const YOUTUBE_HOSTS = new Set([
+  "youtube.com",
+  "www.youtube.com",
+  "m.youtube.com",
+  "music.youtube.com",
+  "youtube-nocookie.com",
+  "www.youtube-nocookie.com"
+]);
+const VIMEO_HOSTS = new Set(["vimeo.com", "www.vimeo.com", "player.vimeo.com"]);
+const VIDEO_FILE_TYPES = {
+  mp4: "video/mp4",
+  webm: "video/webm"
+};
+
+const providers = [];
+
+function parseUrl(input) {
+  try {
+    const parsed = new URL(input);
+    if (parsed.protocol !== "http:" && parsed.protocol !== "https:") return null;
+    return parsed;
+  } catch {
+    return null;
+  }
+}
+
+// Accepts "90", "90s", "1m30s", "1h2m3s" and "01:02:03"; returns whole seconds or 0.
+function parseTimestamp(value) {
+  const text = String(value || "").trim().toLowerCase();
+  if (!text) return 0;
+  if (/^\d+$/.test(text)) return Number(text);
+  if (/^\d+(:\d{1,2}){1,2}$/.test(text)) {
+    return text.split(":").reduce((total, part) => total * 60 + Number(part), 0);
+  }
+  const match = text.match(/^(?:(\d+)h)?(?:(\d+)m)?(?:(\d+)s)?$/);
+  if (!match || !match[0]) return 0;
+  return Number(match[1] || 0) * 3600 + Number(match[2] || 0) * 60 + Number(match[3] || 0);
+}
+
+function readHashParam(parsed, name) {
+  return new URLSearchParams(parsed.hash.replace(/^#/, "")).get(name);
+}
+
+function youtubeVideoId(parsed) {
+  if (parsed.hostname === "youtu.be") {
+    return parsed.pathname.split("/")[1] || "";
+  }
+  if (!YOUTUBE_HOSTS.has(parsed.hostname)) return "";
+  if (parsed.pathname === "/watch") {
+    return parsed.searchParams.get("v") || "";
+  }
+  const [, section, id] = parsed.pathname.split("/");
+  if (["embed", "shorts", "live", "v"].includes(section)) {
+    return id || "";
+  }
+  return "";
+}
+
+const youtubeProvider = {
+  name: "youtube",
+  match(parsed) {
+    const id = youtubeVideoId(parsed);
+    if (!/^[A-Za-z0-9_-]{11}$/.test(id)) return null;
+    const start = parseTimestamp(
+      parsed.searchParams.get("t") || parsed.searchParams.get("start") || readHashParam(parsed, "t")
+    );
+    return {
+      kind: "iframe",
+      src: `https://www.youtube.com/embed/${id}${start ? `?start=${start}` : ""}`
+    };
+  }
+};
+
+function vimeoVideo(parsed) {
+  if (!VIMEO_HOSTS.has(parsed.hostname)) return null;
+  const parts = parsed.pathname.split("/").filter(Boolean);
+  if (parsed.hostname === "player.vimeo.com") {
+    if (parts[0] !== "video" || !/^\d+$/.test(parts[1] || "")) return null;
+    const hash = parsed.searchParams.get("h") || "";
+    return { id: parts[1], hash: /^[0-9a-f]+$/i.test(hash) ? hash : "" };
+  }
+  // vimeo.com/123, vimeo.com/123/abcdef (unlisted), vimeo.com/channels/x/123, vimeo.com/groups/x/videos/123
+  const index = parts.findIndex((part) => /^\d+$/.test(part));
+  if (index === -1) return null;
+  const leading = parts.slice(0, index);
+  const shapes = [[], ["channels", null], ["groups", null, "videos"], ["album", null, "video"]];
+  const known = shapes.some(
+    (shape) => shape.length === leading.length && shape.every((part, i) => part === null || part === leading[i])
+  );
+  if (!known) return null;
+  const hash = /^[0-9a-f]+$/i.test(parts[index + 1] || "") ? parts[index + 1] : "";
+  return { id: parts[index], hash };
+}
+
+const vimeoProvider = {
+  name: "vimeo",
+  match(parsed) {
+    const video = vimeoVideo(parsed);
+    if (!video) return null;
+    const start = parseTimestamp(readHashParam(parsed, "t") || parsed.searchParams.get("t"));
+    const query = video.hash ? `?h=${video.hash}` : "";
+    return {
+      kind: "iframe",
+      src: `https://player.vimeo.com/video/${video.id}${query}${start ? `#t=${start}s` : ""}`
+    };
+  }
+};
+
+const videoFileProvider = {
+  name: "file",
+  match(parsed) {
+    const extension = parsed.pathname.split(".").pop().toLowerCase();
+    if (!VIDEO_FILE_TYPES[extension]) return null;
+    return { kind: "file", src: parsed.href, mime_type: VIDEO_FILE_TYPES[extension] };
+  }
+};
+
+function registerEmbedProvider(provider) {
+  if (!provider || typeof provider.name !== "string" || typeof provider.match !== "function") {
+    throw new Error("Embed providers need a name and a match(url) function.");
+  }
+  const existing = providers.findIndex((item) => item.name === provider.name);
+  if (existing !== -1) {
+    providers.splice(existing, 1, provider);
+  } else {
+    providers.push(provider);
+  }
+}
+
+function resolveVideoEmbed(url) {
+  const value = String(url || "").trim();
+  if (!value) return null;
+  // Uploaded videos are served from our own origin; resolve them against a placeholder base.
+  const isLocal = value.startsWith("/uploads/") && !value.includes("..");
+  const parsed = isLocal ? parseUrl(`http://local${value}`) : parseUrl(value);
+  if (!parsed) return null;
+  for (const provider of providers) {
+    if (isLocal && provider.name !== "file") continue;
+    const embed = provider.match(parsed);
+    if (embed) {
+      return {
+        provider: provider.name,
+        ...embed,
+        src: isLocal ? `${parsed.pathname}${parsed.search}` : embed.src
+      };
+    }
+  }
+  return null;
+}
+
+function listEmbedProviders() {
+  return providers.map((provider) => provider.name);
+}
+
+registerEmbedProvider(youtubeProvider);
+registerEmbedProvider(vimeoProvider);
+registerEmbedProvider(videoFileProvider);
+
+module.exports = {
+  parseTimestamp,
+  registerEmbedProvider,
+  resolveVideoEmbed,
+  listEmbedProviders
+};
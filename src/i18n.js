@@ -0,0 +1,97 @@
+// Message catalogs live in src/locales/<locale>.json as flat "area.name" keys. A message can use {name}
+// placeholders; a message that depends on a number is an object keyed by the CLDR plural category of params.count
+// ("one", "few", "many", "other" in Russian; "one", "other" in English). Missing keys fall back to English.
+const CATALOGS = {
+  en: require("./locales/en.json"),
+  ru: require("./locales/ru.json")
+};
+const LOCALES = Object.keys(CATALOGS);
+const DEFAULT_LOCALE = "en";
+const LOCALE_NAMES = { en: "English", ru: "Русский" };
+
+// Posts and comments younger than this show "5m ago"; older ones show their date.
+const RELATIVE_TIME_LIMIT_SEC = 7 * 24 * 60 * 60;
+const RELATIVE_UNITS = [
+  ["days", 24 * 60 * 60],
+  ["hours", 60 * 60],
+  ["minutes", 60]
+];
+
+const pluralRules = new Map();
+const dateFormats = new Map();
+
+function isLocale(value) {
+  return LOCALES.includes(value);
+}
+
+// "ru-RU,ru;q=0.9,en-US;q=0.8,en;q=0.7" -> the supported language with the highest q-value, else the default.
+function detectLocale(header) {
+  const ranked = String(header || "")
+    .split(",")
+    .map((part, index) => {
+      const [range, ...attributes] = part.trim().split(";");
+      const weight = attributes.map((item) => item.trim()).find((item) => item.startsWith("q="));
+      return {
+        language: range.trim().toLowerCase().split("-")[0],
+        q: weight ? Number(weight.slice(2)) : 1,
+        index
+      };
+    })
+    .filter((item) => item.language && item.q > 0)
+    .sort((a, b) => b.q - a.q || a.index - b.index);
+  const match = ranked.find((item) => isLocale(item.language));
+  return match ? match.language : DEFAULT_LOCALE;
+}
+
+function pluralCategory(locale, count) {
+  if (!pluralRules.has(locale)) pluralRules.set(locale, new Intl.PluralRules(locale));
+  return pluralRules.get(locale).select(Number(count) || 0);
+}
+
+function translate(locale, key, params = {}) {
+  const catalog = CATALOGS[locale] || CATALOGS[DEFAULT_LOCALE];
+  const entry = catalog[key] ?? CATALOGS[DEFAULT_LOCALE][key];
+  if (entry === undefined) return key;
+  const template = typeof entry === "string" ? entry : (entry[pluralCategory(locale, params.count)] ?? entry.other);
+  return template.replace(/\{(\w+)\}/g, (placeholder, name) =>
+    params[name] === undefined || params[name] === null ? placeholder : String(params[name])
+  );
+}
+
+function translator(locale) {
+  return (key, params) => translate(locale, key, params);
+}
+
+function formatDate(locale, input, options = { day: "numeric", month: "short", year: "numeric" }) {
+  const cacheKey = `${locale}:${JSON.stringify(options)}`;
+  if (!dateFormats.has(cacheKey)) dateFormats.set(cacheKey, new Intl.DateTimeFormat(locale, options));
+  return dateFormats.get(cacheKey).format(new Date(input));
+}
+
+function relativeTime(locale, input) {
+  const value = new Date(input).getTime();
+  const diffSec = Math.max(1, Math.floor((Date.now() - value) / 1000));
+  if (diffSec >= RELATIVE_TIME_LIMIT_SEC) {
+    const sameYear = new Date(value).getFullYear() === new Date().getFullYear();
+    return formatDate(locale, value, { day: "numeric", month: "short", ...(sameYear ? {} : { year: "numeric" }) });
+  }
+  for (const [unit, seconds] of RELATIVE_UNITS) {
+    if (diffSec >= seconds) {
+      return translate(locale, `time.${unit}Ago`, { count: Math.floor(diffSec / seconds) });
+    }
+  }
+  return translate(locale, "time.justNow");
+}
+
+module.exports = {
+  LOCALES,
+  DEFAULT_LOCALE,
+  LOCALE_NAMES,
+  isLocale,
+  detectLocale,
+  pluralCategory,
+  translate,
+  translator,
+  formatDate,
+  relativeTime
+};
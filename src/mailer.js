@@ -28,14 +28,15 @@ function getTransporter() {
   return transporter;
 }
 
-async function sendMail({ to, subject, html, text }) {
+async function sendMail({ to, subject, html, text, headers }) {
   const from = process.env.SMTP_FROM || "no-reply@viks-media.local";
   const info = await getTransporter().sendMail({
     from,
     to,
     subject,
     html,
-    text
+    text,
+    headers
   });
 
   if (info && info.message) {
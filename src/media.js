@@ -0,0 +1,215 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { execFile } = require("child_process");
+const { promisify } = require("util");
+const multer = require("multer");
+const sharp = require("sharp");
+
+const uploadsDir = path.join(__dirname, "..", "data", "uploads");
+const tempDir = path.join(uploadsDir, "tmp");
+
+const MAX_IMAGE_BYTES = Number(process.env.UPLOAD_MAX_IMAGE_BYTES) || 12 * 1024 * 1024;
+const MAX_VIDEO_BYTES = Number(process.env.UPLOAD_MAX_VIDEO_BYTES) || 200 * 1024 * 1024;
+const MAX_FILES_PER_REQUEST = 12;
+const FFMPEG_PATH = process.env.FFMPEG_PATH || "ffmpeg";
+const REMUX_TIMEOUT_MS = 2 * 60 * 1000;
+
+const IMAGE_TYPES = ["image/jpeg", "image/png", "image/webp", "image/gif"];
+const VIDEO_TYPES = {
+  "video/mp4": "mp4",
+  "video/webm": "webm"
+};
+const runFile = promisify(execFile);
+
+const variants = {
+  post: {
+    full: { width: 2048, height: 2048, fit: "inside" },
+    thumb: { width: 960, height: 960, fit: "inside" }
+  },
+  avatar: {
+    full: { width: 400, height: 400, fit: "cover" },
+    thumb: { width: 96, height: 96, fit: "cover" }
+  }
+};
+
+function ensureUploadDirs() {
+  fs.mkdirSync(tempDir, { recursive: true });
+  fs.mkdirSync(path.join(uploadsDir, "posts"), { recursive: true });
+  fs.mkdirSync(path.join(uploadsDir, "avatars"), { recursive: true });
+}
+
+function randomName() {
+  return crypto.randomBytes(16).toString("hex");
+}
+
+function removeQuietly(filePath) {
+  fs.rm(filePath, { force: true }, () => {});
+}
+
+function createUploader() {
+  ensureUploadDirs();
+  return multer({
+    storage: multer.diskStorage({
+      destination: tempDir,
+      filename(req, file, callback) {
+        callback(null, randomName());
+      }
+    }),
+    limits: {
+      fileSize: Math.max(MAX_IMAGE_BYTES, MAX_VIDEO_BYTES),
+      files: MAX_FILES_PER_REQUEST
+    },
+    fileFilter(req, file, callback) {
+      const allowed = IMAGE_TYPES.includes(file.mimetype) || Boolean(VIDEO_TYPES[file.mimetype]);
+      if (!allowed) {
+        const error = new Error("Unsupported file type.");
+        error.code = "UNSUPPORTED_TYPE";
+        return callback(error);
+      }
+      return callback(null, true);
+    }
+  });
+}
+
+// Upload errors are message keys from the i18n catalogs; the server translates them for the current reader.
+function describeUploadError(error) {
+  if (error && error.code === "LIMIT_FILE_SIZE") {
+    return "upload.fileTooLarge";
+  }
+  if (error && (error.code === "LIMIT_FILE_COUNT" || error.code === "LIMIT_UNEXPECTED_FILE")) {
+    return "upload.tooManyFiles";
+  }
+  if (error && error.code === "UNSUPPORTED_TYPE") {
+    return "upload.unsupportedType";
+  }
+  return "upload.failed";
+}
+
+function readHeader(filePath, length = 16) {
+  const handle = fs.openSync(filePath, "r");
+  try {
+    const buffer = Buffer.alloc(length);
+    fs.readSync(handle, buffer, 0, length, 0);
+    return buffer;
+  } finally {
+    fs.closeSync(handle);
+  }
+}
+
+function sniffVideoType(filePath) {
+  const header = readHeader(filePath);
+  if (header.slice(4, 8).toString("latin1") === "ftyp") return "video/mp4";
+  if (header.readUInt32BE(0) === 0x1a45dfa3) return "video/webm";
+  return "";
+}
+
+async function writeImageVariant(source, target, options) {
+  // Re-encoding drops EXIF/XMP blocks (GPS, camera serials); rotate() bakes in the orientation first.
+  await sharp(source, { animated: true })
+    .rotate()
+    .resize({ ...options, withoutEnlargement: options.fit === "inside" })
+    .webp({ quality: 82 })
+    .toFile(target);
+}
+
+async function storeImage(file, kind) {
+  if (file.size > MAX_IMAGE_BYTES) {
+    return { error: "upload.imageTooLarge" };
+  }
+  try {
+    const metadata = await sharp(file.path).metadata();
+    if (!metadata.width || !metadata.height) {
+      return { error: "upload.imageUnreadable" };
+    }
+  } catch {
+    return { error: "upload.imageUnreadable" };
+  }
+
+  const name = randomName();
+  const folder = kind === "avatar" ? "avatars" : "posts";
+  const fullName = `${name}.webp`;
+  const thumbName = `${name}-thumb.webp`;
+  await writeImageVariant(file.path, path.join(uploadsDir, folder, fullName), variants[kind].full);
+  await writeImageVariant(file.path, path.join(uploadsDir, folder, thumbName), variants[kind].thumb);
+  return {
+    error: null,
+    media_type: "image",
+    url: `/uploads/${folder}/${fullName}`,
+    thumb_url: `/uploads/${folder}/${thumbName}`
+  };
+}
+
+// Copies the audio/video streams into a fresh container without the global, stream and chapter metadata, which
+// is where phones put GPS coordinates, device names and capture times.
+async function remuxWithoutMetadata(source, target, extension) {
+  const args = ["-v", "error", "-y", "-i", source, "-map", "0:v", "-map", "0:a?", "-c", "copy"];
+  args.push("-map_metadata", "-1", "-map_chapters", "-1", "-fflags", "+bitexact");
+  args.push(...(extension === "mp4" ? ["-movflags", "+faststart", "-f", "mp4"] : ["-f", "webm"]), target);
+  await runFile(FFMPEG_PATH, args, { timeout: REMUX_TIMEOUT_MS });
+}
+
+async function storeVideo(file) {
+  if (file.size > MAX_VIDEO_BYTES) {
+    return { error: "upload.videoTooLarge" };
+  }
+  const sniffed = sniffVideoType(file.path);
+  if (!sniffed || sniffed !== file.mimetype) {
+    return { error: "upload.videoMismatch" };
+  }
+  const extension = VIDEO_TYPES[sniffed];
+  const fileName = `${randomName()}.${extension}`;
+  const target = path.join(uploadsDir, "posts", fileName);
+  try {
+    await remuxWithoutMetadata(file.path, target, extension);
+  } catch (error) {
+    removeQuietly(target);
+    // Without ffmpeg the metadata cannot be stripped, so video uploads are refused rather than published as-is.
+    return { error: error.code === "ENOENT" ? "upload.videoUnavailable" : "upload.videoUnreadable" };
+  }
+  return {
+    error: null,
+    media_type: "video",
+    url: `/uploads/posts/${fileName}`,
+    thumb_url: ""
+  };
+}
+
+async function saveUpload(file, kind = "post") {
+  try {
+    if (IMAGE_TYPES.includes(file.mimetype)) {
+      return await storeImage(file, kind);
+    }
+    if (kind === "avatar") {
+      return { error: "upload.avatarNotImage" };
+    }
+    return await storeVideo(file);
+  } catch (error) {
+    // eslint-disable-next-line no-console
+    console.error("Upload processing failed", error);
+    return { error: "upload.failed" };
+  } finally {
+    removeQuietly(file.path);
+  }
+}
+
+// Deletes the files behind uploads that did not end up on a post or profile.
+function discardUploads(uploads) {
+  for (const upload of uploads || []) {
+    for (const url of [upload.url, upload.thumb_url]) {
+      if (url && url.startsWith("/uploads/") && !url.includes("..")) {
+        removeQuietly(path.join(uploadsDir, url.slice("/uploads/".length)));
+      }
+    }
+  }
+}
+
+module.exports = {
+  uploadsDir,
+  MAX_IMAGE_BYTES,
+  MAX_VIDEO_BYTES,
+  createUploader,
+  describeUploadError,
+  discardUploads,
+  saveUpload
+};
@@ -0,0 +1,30 @@
+// Usernames are 3-24 characters; a mention must not be glued to a preceding word or e-mail local part.
+const MENTION_PATTERN = /(^|[^\p{L}\p{N}_@])@([\p{L}\p{N}_.-]{3,24})/gu;
+
+function trimMention(name) {
+  return name.replace(/[.-]+$/, "");
+}
+
+function findMentionNames(text) {
+  const names = new Set();
+  for (const match of String(text || "").matchAll(MENTION_PATTERN)) {
+    names.add(trimMention(match[2]));
+  }
+  return [...names];
+}
+
+// `text` must already be HTML-escaped; only names that resolve to a user become links.
+function linkMentions(text, resolveUsername) {
+  return String(text || "").replace(MENTION_PATTERN, (whole, lead, raw) => {
+    const name = trimMention(raw);
+    const username = resolveUsername(name);
+    if (!username) return whole;
+    const rest = raw.slice(name.length);
+    return `${lead}<a class="mention" href="/u/${encodeURIComponent(username)}">@${username}</a>${rest}`;
+  });
+}
+
+module.exports = {
+  findMentionNames,
+  linkMentions
+};
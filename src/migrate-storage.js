@@ -0,0 +1,42 @@
+// Copies data/app.json into data/app.sqlite. Run with `npm run migrate:sqlite [-- --force]`.
+const fs = require("fs");
+const path = require("path");
+const { createSqliteStorage } = require("./storage-sqlite");
+
+const dataDir = path.join(__dirname, "..", "data");
+if (!fs.existsSync(path.join(dataDir, "app.json"))) {
+  // eslint-disable-next-line no-console
+  console.error(`Nothing to migrate: ${path.join(dataDir, "app.json")} does not exist.`);
+  process.exit(1);
+}
+
+// Load through the JSON adapter so the copy gets the same schema migrations as a normal startup.
+process.env.STORAGE_DRIVER = "json";
+const db = require("./db");
+
+function main() {
+  const force = process.argv.includes("--force");
+  const target = createSqliteStorage({ dataDir });
+  try {
+    // Loading first also lets save() drop rows that no longer exist when overwriting with --force.
+    if (target.load() && !force) {
+      // eslint-disable-next-line no-console
+      console.error(`${target.filePath} already has data. Re-run with --force to overwrite it.`);
+      process.exitCode = 1;
+      return;
+    }
+    const state = db.exportState();
+    target.save(state);
+    const counts = Object.entries(state)
+      .filter(([, value]) => Array.isArray(value))
+      .map(([key, value]) => `${key}: ${value.length}`);
+    // eslint-disable-next-line no-console
+    console.log(`Copied app.json into ${target.filePath}\n  ${counts.join("\n  ")}`);
+    // eslint-disable-next-line no-console
+    console.log("Start the server with STORAGE_DRIVER=sqlite to use it.");
+  } finally {
+    target.close();
+  }
+}
+
+main();
@@ -0,0 +1,128 @@
+const crypto = require("crypto");
+const db = require("./db");
+const { sendMail } = require("./mailer");
+
+function escapeHtml(value) {
+  return String(value || "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function createNotificationMailer({ baseUrl, secret }) {
+  let running = false;
+
+  function sign(payload) {
+    return crypto.createHmac("sha256", secret).update(`unsubscribe:${payload}`).digest("base64url");
+  }
+
+  function unsubscribeToken(userId, type) {
+    const payload = `${userId}.${type}`;
+    return `${payload}.${sign(payload)}`;
+  }
+
+  function verifyUnsubscribeToken(token) {
+    const parts = String(token || "").split(".");
+    if (parts.length !== 3) return null;
+    const [userId, type, signature] = parts;
+    const expected = Buffer.from(sign(`${userId}.${type}`));
+    const actual = Buffer.from(signature);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+    return { userId: Number(userId), type };
+  }
+
+  function unsubscribeUrl(userId, type) {
+    return `${baseUrl}/notifications/unsubscribe?token=${unsubscribeToken(userId, type)}`;
+  }
+
+  function describe(item) {
+    return `${item.actor_username} ${item.message}${item.context ? `: ${item.context}` : ""}`;
+  }
+
+  function renderItemHtml(item) {
+    const context = item.context ? `<br /><small>${escapeHtml(item.context)}</small>` : "";
+    return (
+      `<li><a href="${escapeHtml(baseUrl + item.url)}"><strong>${escapeHtml(item.actor_username)}</strong> ` +
+      `${escapeHtml(item.message)}</a>${context}</li>`
+    );
+  }
+
+  function buildEmail(user, items, { subject, intro, unsubscribeType }) {
+    const optOut = unsubscribeUrl(user.id, unsubscribeType);
+    const settingsUrl = `${baseUrl}/account?tab=settings#notification-settings`;
+    const lines = items.map((item) => `- ${describe(item)}\n  ${baseUrl}${item.url}`);
+    const rows = items.map(renderItemHtml).join("");
+    return {
+      to: user.email,
+      subject,
+      text: `${intro}\n\n${lines.join("\n")}\n\nManage notifications: ${settingsUrl}\nUnsubscribe: ${optOut}`,
+      html:
+        `<p>${escapeHtml(intro)}</p><ul>${rows}</ul>` +
+        `<p><small><a href="${escapeHtml(settingsUrl)}">Manage notifications</a>` +
+        ` &middot; <a href="${escapeHtml(optOut)}">Unsubscribe</a></small></p>`,
+      headers: {
+        "List-Unsubscribe": `<${optOut}>`,
+        "List-Unsubscribe-Post": "List-Unsubscribe=One-Click"
+      }
+    };
+  }
+
+  async function send(user, items, mail, { digest = false } = {}) {
+    try {
+      await sendMail(mail);
+      db.markNotificationsEmailed(user.id, items.map((item) => item.id), { digest });
+      return true;
+    } catch (error) {
+      // eslint-disable-next-line no-console
+      console.error("Failed to send notification email", error);
+      return false;
+    }
+  }
+
+  async function deliverInstant() {
+    for (const batch of db.getPendingEmailNotifications("instant")) {
+      for (const item of batch.items) {
+        const mail = buildEmail(batch.user, [item], {
+          subject: describe(item).slice(0, 120),
+          intro: `Hi ${batch.user.username}, you have a new notification.`,
+          unsubscribeType: item.type
+        });
+        await send(batch.user, [item], mail);
+      }
+    }
+  }
+
+  async function deliverDigests() {
+    for (const batch of db.getPendingEmailNotifications("digest")) {
+      const count = batch.items.length;
+      const mail = buildEmail(batch.user, batch.items, {
+        subject: `Your Viks Media digest: ${count} new notification${count === 1 ? "" : "s"}`,
+        intro: `Hi ${batch.user.username}, here is what happened since your last digest.`,
+        unsubscribeType: "all"
+      });
+      await send(batch.user, batch.items, mail, { digest: true });
+    }
+  }
+
+  async function runEmailJobs() {
+    if (running) return;
+    running = true;
+    try {
+      await deliverInstant();
+      await deliverDigests();
+    } finally {
+      running = false;
+    }
+  }
+
+  return {
+    unsubscribeUrl,
+    verifyUnsubscribeToken,
+    runEmailJobs
+  };
+}
+
+module.exports = {
+  createNotificationMailer
+};
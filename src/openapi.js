@@ -0,0 +1,449 @@
+// OpenAPI 3.0 description of /api/v1, served at /api/v1/openapi.json. Keep it in step with src/api.js.
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+const jsonContent = (schema) => ({ "application/json": { schema } });
+const errorResponse = (description) => ({ description, content: jsonContent(ref("Error")) });
+const dataResponse = (description, schema) => ({
+  description,
+  content: jsonContent({ type: "object", properties: { data: schema } })
+});
+const listResponse = (description, schema) => ({
+  description,
+  content: jsonContent({
+    type: "object",
+    properties: {
+      data: { type: "array", items: schema },
+      next_cursor: { type: "string", nullable: true, description: "Pass as `cursor` to fetch the next page." }
+    }
+  })
+});
+
+const pathParam = (name, schema = { type: "integer", minimum: 1 }) => ({ name, in: "path", required: true, schema });
+const queryParam = (name, description, schema = { type: "string" }) => ({ name, in: "query", description, schema });
+const pageParams = [
+  queryParam("cursor", "Opaque cursor from a previous page's `next_cursor`."),
+  queryParam("limit", "Page size.", { type: "integer", minimum: 1, maximum: 50, default: 20 })
+];
+
+const errors = {
+  400: errorResponse("The request is malformed."),
+  401: errorResponse("A valid access token is required."),
+  403: errorResponse("The token lacks the needed scope, or its user may not do this."),
+  404: errorResponse("The resource does not exist or is not visible."),
+  413: errorResponse("The request body is too large."),
+  422: errorResponse("The request body failed validation."),
+  429: errorResponse("Rate limited.")
+};
+const pick = (...codes) => Object.fromEntries(codes.map((code) => [code, errors[code]]));
+const secured = [{ bearerAuth: [] }];
+
+const schemas = {
+  Error: {
+    type: "object",
+    required: ["error"],
+    properties: {
+      error: {
+        type: "object",
+        required: ["code", "message"],
+        properties: {
+          code: {
+            type: "string",
+            enum: [
+              "bad_request",
+              "unauthorized",
+              "forbidden",
+              "not_found",
+              "validation_failed",
+              "payload_too_large",
+              "rate_limited",
+              "internal_error"
+            ]
+          },
+          message: { type: "string" },
+          details: { type: "object", additionalProperties: true }
+        }
+      }
+    }
+  },
+  Author: {
+    type: "object",
+    properties: {
+      id: { type: "integer", nullable: true },
+      username: { type: "string" },
+      avatar_url: { type: "string" }
+    }
+  },
+  Tag: {
+    type: "object",
+    properties: {
+      name: { type: "string" },
+      slug: { type: "string" },
+      usage_count: { type: "integer" }
+    }
+  },
+  MediaItem: {
+    type: "object",
+    required: ["url"],
+    properties: {
+      type: { type: "string", enum: ["image", "video"] },
+      url: { type: "string" },
+      thumb_url: { type: "string" },
+      caption: { type: "string" },
+      alt: { type: "string" }
+    }
+  },
+  Post: {
+    type: "object",
+    properties: {
+      id: { type: "integer" },
+      url: { type: "string", format: "uri" },
+      title: { type: "string" },
+      excerpt: { type: "string" },
+      markdown_body: { type: "string", description: "Only on single-post responses." },
+      html: { type: "string", description: "Sanitized HTML render. Only on single-post responses." },
+      status: { type: "string", enum: ["draft", "scheduled", "published"] },
+      author: ref("Author"),
+      category: { type: "object", properties: { name: { type: "string" }, slug: { type: "string" } } },
+      tags: { type: "array", items: ref("Tag") },
+      media: { type: "array", items: ref("MediaItem") },
+      reading_time_minutes: { type: "integer" },
+      like_count: { type: "integer" },
+      comment_count: { type: "integer" },
+      bookmark_count: { type: "integer" },
+      liked_by_me: { type: "boolean" },
+      bookmarked_by_me: { type: "boolean" },
+      is_hidden: { type: "boolean" },
+      created_at: { type: "string", format: "date-time" },
+      updated_at: { type: "string", format: "date-time", nullable: true },
+      published_at: { type: "string", format: "date-time", nullable: true },
+      publish_at: { type: "string", format: "date-time", nullable: true }
+    }
+  },
+  PostInput: {
+    type: "object",
+    properties: {
+      title: { type: "string", minLength: 6, maxLength: 160 },
+      markdown_body: { type: "string", minLength: 20 },
+      category: { type: "string", description: "Category slug. Alternatively send `category_id`." },
+      category_id: { type: "integer" },
+      tags: { type: "array", items: { type: "string" }, maxItems: 5 },
+      media: { type: "array", items: ref("MediaItem"), maxItems: 12 },
+      publish_at: {
+        type: "string",
+        format: "date-time",
+        description: "Schedule the post instead of publishing it now. Only on create."
+      }
+    }
+  },
+  Comment: {
+    type: "object",
+    properties: {
+      id: { type: "integer" },
+      post_id: { type: "integer" },
+      parent_id: { type: "integer", nullable: true },
+      depth: { type: "integer" },
+      body: { type: "string" },
+      author: ref("Author"),
+      reactions: { type: "object", additionalProperties: { type: "integer" } },
+      is_hidden: { type: "boolean" },
+      created_at: { type: "string", format: "date-time" }
+    }
+  },
+  User: {
+    type: "object",
+    properties: {
+      id: { type: "integer" },
+      username: { type: "string" },
+      url: { type: "string", format: "uri" },
+      bio: { type: "string" },
+      avatar_url: { type: "string" },
+      follower_count: { type: "integer" },
+      following_count: { type: "integer" },
+      created_at: { type: "string", format: "date-time" },
+      email: { type: "string", description: "Only on /me." },
+      email_verified: { type: "boolean", description: "Only on /me." },
+      role: { type: "string", description: "Only on /me." }
+    }
+  },
+  Toggle: {
+    type: "object",
+    properties: {
+      post_id: { type: "integer" },
+      active: { type: "boolean" },
+      count: { type: "integer" }
+    }
+  },
+  ModerationResult: {
+    type: "object",
+    properties: {
+      id: { type: "integer" },
+      type: { type: "string", enum: ["post", "comment"] },
+      is_hidden: { type: "boolean" }
+    }
+  },
+  Report: {
+    type: "object",
+    properties: {
+      id: { type: "integer" },
+      target_type: { type: "string", enum: ["post", "comment", "user"] },
+      target_id: { type: "integer" },
+      reason_code: { type: "string" },
+      reason_text: { type: "string" },
+      status: { type: "string" },
+      reporter: { type: "string", description: "Only on moderation listings." },
+      assignee: { type: "string", nullable: true, description: "Only on moderation listings." },
+      created_at: { type: "string", format: "date-time" }
+    }
+  }
+};
+
+function toggleOperations(noun, tag) {
+  return {
+    put: {
+      tags: [tag],
+      summary: `Add a ${noun}. Repeating the call is a no-op.`,
+      security: secured,
+      parameters: [pathParam("id")],
+      responses: { 200: dataResponse(`The post's ${noun} state.`, ref("Toggle")), ...pick(401, 403, 404, 429) }
+    },
+    delete: {
+      tags: [tag],
+      summary: `Remove a ${noun}. Repeating the call is a no-op.`,
+      security: secured,
+      parameters: [pathParam("id")],
+      responses: { 200: dataResponse(`The post's ${noun} state.`, ref("Toggle")), ...pick(401, 403, 404, 429) }
+    }
+  };
+}
+
+function moderationOperation(targetType, action) {
+  return {
+    post: {
+      tags: ["Moderation"],
+      summary: `${action === "hide" ? "Hide" : "Restore"} a ${targetType}. Needs the moderate scope.`,
+      security: secured,
+      parameters: [pathParam("id")],
+      requestBody: {
+        content: jsonContent({ type: "object", properties: { reason: { type: "string", maxLength: 500 } } })
+      },
+      responses: { 200: dataResponse("The new state.", ref("ModerationResult")), ...pick(401, 403, 404, 429) }
+    }
+  };
+}
+
+function buildOpenApiDocument({ baseUrl }) {
+  return {
+    openapi: "3.0.3",
+    info: {
+      title: "Viks Media API",
+      version: "1.0.0",
+      description:
+        "JSON API for the Viks Media community. Reads work anonymously; writes need a personal access token " +
+        "sent as `Authorization: Bearer <token>`. Create tokens on the account settings page. " +
+        "A token's scopes limit what it can do: `read` for any request made with the token, `write` for " +
+        "posting, commenting, likes, bookmarks and reports, and `moderate` for the moderation endpoints. " +
+        "Errors always have the shape `{ error: { code, message, details? } }`."
+    },
+    servers: [{ url: `${baseUrl}/api/v1` }],
+    components: {
+      securitySchemes: {
+        bearerAuth: { type: "http", scheme: "bearer", description: "Personal access token (`pat_...`)." }
+      },
+      schemas
+    },
+    paths: {
+      "/feed": {
+        get: {
+          tags: ["Posts"],
+          summary: "List published posts.",
+          parameters: [
+            queryParam("category", "Category slug."),
+            queryParam("tag", "Tag slug."),
+            queryParam("q", "Search query; supports the same operators as the search page."),
+            queryParam("sort", "Sort mode.", { type: "string", enum: ["new", "hot", "top", "discussed"] }),
+            queryParam("period", "Window for the top and discussed sorts.", {
+              type: "string",
+              enum: ["day", "week", "month", "all"]
+            }),
+            queryParam("following", "Only posts by creators the token's user follows.", { type: "boolean" }),
+            ...pageParams
+          ],
+          responses: { 200: listResponse("A page of posts.", ref("Post")), ...pick(400, 401, 429) }
+        }
+      },
+      "/posts": {
+        post: {
+          tags: ["Posts"],
+          summary: "Publish or schedule a post.",
+          security: secured,
+          requestBody: { required: true, content: jsonContent(ref("PostInput")) },
+          responses: { 201: dataResponse("The created post.", ref("Post")), ...pick(400, 401, 403, 413, 422, 429) }
+        }
+      },
+      "/posts/{id}": {
+        get: {
+          tags: ["Posts"],
+          summary: "Fetch one post with its body.",
+          parameters: [pathParam("id")],
+          responses: { 200: dataResponse("The post.", ref("Post")), ...pick(404, 429) }
+        },
+        patch: {
+          tags: ["Posts"],
+          summary: "Edit your own post. Omitted fields keep their current value.",
+          security: secured,
+          parameters: [pathParam("id")],
+          requestBody: { required: true, content: jsonContent(ref("PostInput")) },
+          responses: { 200: dataResponse("The updated post.", ref("Post")), ...pick(400, 401, 403, 404, 413, 422, 429) }
+        },
+        delete: {
+          tags: ["Posts"],
+          summary: "Delete your own post.",
+          security: secured,
+          parameters: [pathParam("id")],
+          responses: { 204: { description: "Deleted." }, ...pick(401, 403, 404, 429) }
+        }
+      },
+      "/posts/{id}/comments": {
+        get: {
+          tags: ["Comments"],
+          summary: "List a post's comments in thread order.",
+          parameters: [pathParam("id")],
+          responses: { 200: listResponse("All visible comments.", ref("Comment")), ...pick(404, 429) }
+        },
+        post: {
+          tags: ["Comments"],
+          summary: "Comment on a post or reply to a comment.",
+          security: secured,
+          parameters: [pathParam("id")],
+          requestBody: {
+            required: true,
+            content: jsonContent({
+              type: "object",
+              required: ["body"],
+              properties: {
+                body: { type: "string", minLength: 2, maxLength: 1500 },
+                parent_id: { type: "integer", nullable: true }
+              }
+            })
+          },
+          responses: {
+            201: dataResponse("The new comment.", ref("Comment")),
+            ...pick(400, 401, 403, 404, 413, 422, 429)
+          }
+        }
+      },
+      "/posts/{id}/like": toggleOperations("like", "Likes"),
+      "/posts/{id}/bookmark": toggleOperations("bookmark", "Bookmarks"),
+      "/me": {
+        get: {
+          tags: ["Users"],
+          summary: "The token's user.",
+          security: secured,
+          responses: { 200: dataResponse("Your profile.", ref("User")), ...pick(401, 429) }
+        }
+      },
+      "/me/bookmarks": {
+        get: {
+          tags: ["Bookmarks"],
+          summary: "Your bookmarked posts, most recently saved first.",
+          security: secured,
+          parameters: pageParams,
+          responses: { 200: listResponse("A page of posts.", ref("Post")), ...pick(400, 401, 429) }
+        }
+      },
+      "/users/{username}": {
+        get: {
+          tags: ["Users"],
+          summary: "A public profile.",
+          parameters: [pathParam("username", { type: "string" })],
+          responses: { 200: dataResponse("The user.", ref("User")), ...pick(404, 429) }
+        }
+      },
+      "/users/{username}/posts": {
+        get: {
+          tags: ["Users"],
+          summary: "A user's published posts, newest first.",
+          parameters: [pathParam("username", { type: "string" }), ...pageParams],
+          responses: { 200: listResponse("A page of posts.", ref("Post")), ...pick(400, 404, 429) }
+        }
+      },
+      "/tags": {
+        get: {
+          tags: ["Tags"],
+          summary: "Popular tags, or tags matching `q`.",
+          parameters: [
+            queryParam("q", "Words to match against tag names."),
+            queryParam("limit", "How many tags to return.", { type: "integer", minimum: 1, maximum: 50, default: 20 })
+          ],
+          responses: { 200: listResponse("Tags, most used first.", ref("Tag")), ...pick(429) }
+        }
+      },
+      "/tags/{slug}": {
+        get: {
+          tags: ["Tags"],
+          summary: "One tag. List its posts with `/feed?tag={slug}`.",
+          parameters: [pathParam("slug", { type: "string" })],
+          responses: { 200: dataResponse("The tag.", ref("Tag")), ...pick(404, 429) }
+        }
+      },
+      "/reports": {
+        post: {
+          tags: ["Reports"],
+          summary: "Report a post, comment or user to the moderators.",
+          security: secured,
+          requestBody: {
+            required: true,
+            content: jsonContent({
+              type: "object",
+              required: ["target_type", "target_id"],
+              properties: {
+                target_type: { type: "string", enum: ["post", "comment", "user"] },
+                target_id: { type: "integer" },
+                reason_code: {
+                  type: "string",
+                  enum: ["spam", "abuse", "harassment", "illegal", "other"],
+                  default: "other"
+                },
+                reason_text: { type: "string", maxLength: 500 }
+              }
+            })
+          },
+          responses: {
+            201: dataResponse("The report.", ref("Report")),
+            ...pick(400, 401, 403, 404, 413, 429),
+            422: errorResponse("Invalid target, an unknown reason_code, or a note longer than 500 characters.")
+          }
+        }
+      },
+      "/moderation/reports": {
+        get: {
+          tags: ["Moderation"],
+          summary: "Newest reports. Needs the moderate scope.",
+          security: secured,
+          parameters: [
+            queryParam("status", "Report status, or `all`.", {
+              type: "string",
+              enum: ["open", "in_review", "resolved", "dismissed", "all"],
+              default: "open"
+            }),
+            queryParam("limit", "How many reports to return.", {
+              type: "integer",
+              minimum: 1,
+              maximum: 50,
+              default: 20
+            })
+          ],
+          responses: { 200: listResponse("Reports, newest first.", ref("Report")), ...pick(400, 401, 403, 429) }
+        }
+      },
+      "/moderation/posts/{id}/hide": moderationOperation("post", "hide"),
+      "/moderation/posts/{id}/unhide": moderationOperation("post", "unhide"),
+      "/moderation/comments/{id}/hide": moderationOperation("comment", "hide"),
+      "/moderation/comments/{id}/unhide": moderationOperation("comment", "unhide")
+    }
+  };
+}
+
+module.exports = {
+  buildOpenApiDocument
+};
@@ -0,0 +1,442 @@
+// In-memory inverted index over posts: tokenizing, English/Russian stemming, phrase queries,
+// BM25-style ranking with per-field weights, and highlighted snippets.
+
+const FIELD_WEIGHTS = {
+  title: 3,
+  tags: 2.5,
+  body: 1,
+  meta: 1
+};
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+const TOKEN_PATTERN = /[\p{L}\p{N}]+/gu;
+const CYRILLIC = /[а-я]/;
+
+// Porter (1980) stemmer for English.
+const EN_STEP2 = {
+  ational: "ate",
+  tional: "tion",
+  enci: "ence",
+  anci: "ance",
+  izer: "ize",
+  bli: "ble",
+  alli: "al",
+  entli: "ent",
+  eli: "e",
+  ousli: "ous",
+  ization: "ize",
+  ation: "ate",
+  ator: "ate",
+  alism: "al",
+  iveness: "ive",
+  fulness: "ful",
+  ousness: "ous",
+  aliti: "al",
+  iviti: "ive",
+  biliti: "ble",
+  logi: "log"
+};
+const EN_STEP3 = { icate: "ic", ative: "", alize: "al", iciti: "ic", ical: "ic", ful: "", ness: "" };
+const EN_C = "[^aeiou]";
+const EN_V = "[aeiouy]";
+const EN_CS = `${EN_C}[^aeiouy]*`;
+const EN_VS = `${EN_V}[aeiou]*`;
+const EN_M_GT0 = new RegExp(`^(${EN_CS})?${EN_VS}${EN_CS}`);
+const EN_M_EQ1 = new RegExp(`^(${EN_CS})?${EN_VS}${EN_CS}(${EN_VS})?$`);
+const EN_M_GT1 = new RegExp(`^(${EN_CS})?${EN_VS}${EN_CS}${EN_VS}${EN_CS}`);
+const EN_HAS_VOWEL = new RegExp(`^(${EN_CS})?${EN_V}`);
+const EN_CVC = new RegExp(`^${EN_CS}${EN_V}[^aeiouwxy]$`);
+const EN_STEP2_SUFFIX = new RegExp(`^(.+?)(${Object.keys(EN_STEP2).join("|")})$`);
+const EN_STEP3_SUFFIX = new RegExp(`^(.+?)(${Object.keys(EN_STEP3).join("|")})$`);
+const EN_STEP4_SUFFIX = /^(.+?)(al|ance|ence|er|ic|able|ible|ant|ement|ment|ent|ou|ism|ate|iti|ous|ive|ize)$/;
+
+function stemEnglish(input) {
+  if (input.length < 3) return input;
+  let word = input[0] === "y" ? `Y${input.slice(1)}` : input;
+  let match;
+
+  if ((match = /^(.+?)(ss|i)es$/.exec(word))) word = match[1] + match[2];
+  else if ((match = /^(.+?)([^s])s$/.exec(word))) word = match[1] + match[2];
+
+  if ((match = /^(.+?)eed$/.exec(word))) {
+    if (EN_M_GT0.test(match[1])) word = word.slice(0, -1);
+  } else if ((match = /^(.+?)(ed|ing)$/.exec(word)) && EN_HAS_VOWEL.test(match[1])) {
+    word = match[1];
+    if (/(at|bl|iz)$/.test(word)) word += "e";
+    else if (/([^aeiouylsz])\1$/.test(word)) word = word.slice(0, -1);
+    else if (EN_CVC.test(word)) word += "e";
+  }
+
+  if ((match = /^(.+?)y$/.exec(word)) && EN_HAS_VOWEL.test(match[1])) word = `${match[1]}i`;
+
+  match = EN_STEP2_SUFFIX.exec(word);
+  if (match && EN_M_GT0.test(match[1])) word = match[1] + EN_STEP2[match[2]];
+
+  match = EN_STEP3_SUFFIX.exec(word);
+  if (match && EN_M_GT0.test(match[1])) word = match[1] + EN_STEP3[match[2]];
+
+  if ((match = EN_STEP4_SUFFIX.exec(word))) {
+    if (EN_M_GT1.test(match[1])) word = match[1];
+  } else if ((match = /^(.+?)(s|t)(ion)$/.exec(word))) {
+    if (EN_M_GT1.test(match[1] + match[2])) word = match[1] + match[2];
+  }
+
+  if ((match = /^(.+?)e$/.exec(word))) {
+    const stem = match[1];
+    if (EN_M_GT1.test(stem) || (EN_M_EQ1.test(stem) && !EN_CVC.test(stem))) word = stem;
+  }
+  if (/ll$/.test(word) && EN_M_GT1.test(word)) word = word.slice(0, -1);
+
+  return word[0] === "Y" ? `y${word.slice(1)}` : word;
+}
+
+// Snowball stemmer for Russian.
+const RU_VOWELS = "аеиоуыэюя";
+const RU_PERFECTIVE_GERUND = [["в", "вши", "вшись"], ["ив", "ивши", "ившись", "ыв", "ывши", "ывшись"]];
+const RU_REFLEXIVE = [[], ["ся", "сь"]];
+const RU_ADJECTIVE = [
+  [],
+  ["ее", "ие", "ые", "ое", "ими", "ыми", "ей", "ий", "ый", "ой", "ем", "им", "ым", "ом", "его", "ого", "ему", "ому"]
+    .concat(["их", "ых", "ую", "юю", "ая", "яя", "ою", "ею"])
+];
+const RU_PARTICIPLE = [["ем", "нн", "вш", "ющ", "щ"], ["ивш", "ывш", "ующ"]];
+const RU_VERB = [
+  ["ла", "на", "ете", "йте", "ли", "й", "л", "ем", "н", "ло", "но", "ет", "ют", "ны", "ть", "ешь", "нно"],
+  ["ила", "ыла", "ена", "ейте", "уйте", "ите", "или", "ыли", "ей", "уй", "ил", "ыл", "им", "ым", "ен", "ило", "ыло"]
+    .concat(["ено", "ят", "ует", "уют", "ит", "ыт", "ены", "ить", "ыть", "ишь", "ую", "ю"])
+];
+const RU_NOUN = [
+  [],
+  ["а", "ев", "ов", "ие", "ье", "е", "иями", "ями", "ами", "еи", "ии", "и", "ией", "ей", "ой", "ий", "й", "иям", "ям"]
+    .concat(["ием", "ем", "ам", "ом", "о", "у", "ах", "иях", "ях", "ы", "ь", "ию", "ью", "ю", "ия", "ья", "я"])
+];
+
+// Removes the longest matching ending from `region`; endings in the first group must follow "а" or "я".
+function ruStrip(region, [afterA, plain]) {
+  let best = "";
+  for (const ending of plain) {
+    if (ending.length > best.length && region.endsWith(ending)) best = ending;
+  }
+  for (const ending of afterA) {
+    if (ending.length <= best.length || !region.endsWith(ending)) continue;
+    if (/[ая]$/.test(region.slice(0, -ending.length))) best = ending;
+  }
+  return best ? region.slice(0, -best.length) : null;
+}
+
+function ruRegions(word) {
+  const isVowel = (char) => RU_VOWELS.includes(char);
+  let rv = word.length;
+  let r1 = word.length;
+  let r2 = word.length;
+  for (let i = 0; i < word.length; i += 1) {
+    if (isVowel(word[i])) {
+      rv = i + 1;
+      break;
+    }
+  }
+  for (let i = 1; i < word.length; i += 1) {
+    if (!isVowel(word[i]) && isVowel(word[i - 1])) {
+      r1 = i + 1;
+      break;
+    }
+  }
+  for (let i = r1 + 1; i < word.length; i += 1) {
+    if (!isVowel(word[i]) && isVowel(word[i - 1])) {
+      r2 = i + 1;
+      break;
+    }
+  }
+  return { rv, r2 };
+}
+
+function stemRussian(input) {
+  const { rv, r2 } = ruRegions(input);
+  const prefix = input.slice(0, rv);
+  let region = input.slice(rv);
+
+  const gerund = ruStrip(region, RU_PERFECTIVE_GERUND);
+  if (gerund !== null) {
+    region = gerund;
+  } else {
+    region = ruStrip(region, RU_REFLEXIVE) ?? region;
+    const adjective = ruStrip(region, RU_ADJECTIVE);
+    if (adjective !== null) {
+      region = ruStrip(adjective, RU_PARTICIPLE) ?? adjective;
+    } else {
+      region = ruStrip(region, RU_VERB) ?? ruStrip(region, RU_NOUN) ?? region;
+    }
+  }
+
+  if (region.endsWith("и")) region = region.slice(0, -1);
+
+  const derivational = region.match(/ость?$/);
+  if (derivational && prefix.length + region.length - derivational[0].length >= r2) {
+    region = region.slice(0, -derivational[0].length);
+  }
+
+  if (region.endsWith("нн")) {
+    region = region.slice(0, -1);
+  } else {
+    const superlative = region.match(/ейше?$/);
+    if (superlative) {
+      region = region.slice(0, -superlative[0].length);
+      if (region.endsWith("нн")) region = region.slice(0, -1);
+    } else if (region.endsWith("ь")) {
+      region = region.slice(0, -1);
+    }
+  }
+  return prefix + region;
+}
+
+function normalizeToken(token) {
+  return token.toLowerCase().replace(/ё/g, "е");
+}
+
+function stem(token) {
+  const word = normalizeToken(token);
+  if (CYRILLIC.test(word)) return stemRussian(word);
+  if (/^[a-z]+$/.test(word)) return stemEnglish(word);
+  return word;
+}
+
+// Tokens with their character offsets, so snippets can be cut and highlighted in the original text.
+function tokenize(text) {
+  const tokens = [];
+  for (const match of String(text || "").matchAll(TOKEN_PATTERN)) {
+    tokens.push({ text: match[0], stem: stem(match[0]), start: match.index, end: match.index + match[0].length });
+  }
+  return tokens;
+}
+
+function analyze(text) {
+  return tokenize(String(text || "").normalize("NFKC")).map((token) => token.stem);
+}
+
+// Markdown to plain text, good enough for indexing and snippets.
+function plainText(markdown) {
+  return String(markdown || "")
+    .replace(/```[\s\S]*?```/g, (block) => block.replace(/```\w*/g, " "))
+    .replace(/!\[([^\]]*)\]\([^)]*\)/g, "$1")
+    .replace(/\[([^\]]*)\]\([^)]*\)/g, "$1")
+    .replace(/<[^>]+>/g, " ")
+    .replace(/[#>*_`~|]+/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+// Inline filters understood by parseQuery, e.g. `author:anna tag:gear likes:10 after:2024-01-01`.
+const QUERY_OPERATORS = ["author", "category", "tag", "type", "media", "likes", "after", "before"];
+const QUERY_TOKEN = /(-?)(?:([a-z]+):)?("[^"]*"?|[^\s"]+)/gi;
+
+// `author:name "exact phrase" words -excluded` -> { terms, phrases, excluded, excludedPhrases, filters, text }.
+// Every term and phrase must match and no excluded one may; `text` keeps the plain words for user and tag lookups.
+function parseQuery(query) {
+  const terms = [];
+  const phrases = [];
+  const excluded = [];
+  const excludedPhrases = [];
+  const filters = {};
+  const words = [];
+  for (const [, negated, operatorName, raw] of String(query || "").matchAll(QUERY_TOKEN)) {
+    const quoted = raw.startsWith('"');
+    const value = quoted ? raw.replace(/^"|"$/g, "").trim() : raw;
+    const operator = operatorName ? operatorName.toLowerCase() : "";
+    if (operator === "has" && value.toLowerCase() === "media" && !negated) {
+      filters.media = "yes";
+      continue;
+    }
+    if (QUERY_OPERATORS.includes(operator) && !negated) {
+      if (value) filters[operator] = value;
+      continue;
+    }
+    const textValue = operatorName ? `${operatorName}:${value}` : value;
+    const stems = analyze(textValue);
+    if (stems.length === 0) continue;
+    if (negated) {
+      if (stems.length > 1) excludedPhrases.push(stems);
+      else excluded.push(stems[0]);
+      continue;
+    }
+    words.push(textValue);
+    if (quoted && stems.length > 1) phrases.push(stems);
+    else terms.push(...stems);
+  }
+  const uniqueTerms = [...new Set([...terms, ...phrases.flat()])];
+  return {
+    terms: uniqueTerms,
+    phrases,
+    excluded: [...new Set(excluded)],
+    excludedPhrases,
+    filters,
+    text: words.join(" "),
+    isEmpty: uniqueTerms.length === 0
+  };
+}
+
+function containsSequence(stems, sequence) {
+  for (let i = 0; i + sequence.length <= stems.length; i += 1) {
+    let matched = true;
+    for (let j = 0; j < sequence.length; j += 1) {
+      if (stems[i + j] !== sequence[j]) {
+        matched = false;
+        break;
+      }
+    }
+    if (matched) return true;
+  }
+  return false;
+}
+
+function createSearchIndex({ weights = FIELD_WEIGHTS } = {}) {
+  const postings = new Map();
+  const docs = new Map();
+  let totalLength = 0;
+
+  function remove(id) {
+    const doc = docs.get(id);
+    if (!doc) return;
+    for (const term of doc.termFrequency.keys()) {
+      const postingList = postings.get(term);
+      postingList.delete(id);
+      if (postingList.size === 0) postings.delete(term);
+    }
+    totalLength -= doc.length;
+    docs.delete(id);
+  }
+
+  function add(id, fields) {
+    remove(id);
+    const doc = { fields: {}, termFrequency: new Map(), length: 0 };
+    for (const [field, weight] of Object.entries(weights)) {
+      const stems = analyze(fields[field]);
+      doc.fields[field] = stems;
+      doc.length += stems.length * weight;
+      for (const term of stems) {
+        doc.termFrequency.set(term, (doc.termFrequency.get(term) || 0) + weight);
+      }
+    }
+    for (const term of doc.termFrequency.keys()) {
+      if (!postings.has(term)) postings.set(term, new Set());
+      postings.get(term).add(id);
+    }
+    docs.set(id, doc);
+    totalLength += doc.length;
+  }
+
+  function clear() {
+    postings.clear();
+    docs.clear();
+    totalLength = 0;
+  }
+
+  // Returns Map(docId -> score) of documents matching every term and phrase.
+  function search(parsed) {
+    const scores = new Map();
+    if (parsed.isEmpty) return scores;
+    const lists = parsed.terms.map((term) => postings.get(term) || new Set());
+    lists.sort((a, b) => a.size - b.size);
+    const averageLength = docs.size ? totalLength / docs.size : 1;
+    for (const id of lists[0]) {
+      if (!lists.every((list) => list.has(id))) continue;
+      const doc = docs.get(id);
+      const fieldStems = Object.values(doc.fields);
+      if (!parsed.phrases.every((phrase) => fieldStems.some((stems) => containsSequence(stems, phrase)))) continue;
+      let score = 0;
+      for (const term of parsed.terms) {
+        const frequency = doc.termFrequency.get(term);
+        const documentCount = postings.get(term).size;
+        const idf = Math.log(1 + (docs.size - documentCount + 0.5) / (documentCount + 0.5));
+        const norm = BM25_K1 * (1 - BM25_B + (BM25_B * doc.length) / (averageLength || 1));
+        score += (idf * frequency * (BM25_K1 + 1)) / (frequency + norm);
+      }
+      scores.set(id, score);
+    }
+    return scores;
+  }
+
+  // Ids of documents containing any excluded term or phrase.
+  function excluded(parsed) {
+    const ids = new Set();
+    for (const term of parsed.excluded) {
+      for (const id of postings.get(term) || []) ids.add(id);
+    }
+    for (const phrase of parsed.excludedPhrases) {
+      for (const id of postings.get(phrase[0]) || []) {
+        if (Object.values(docs.get(id).fields).some((stems) => containsSequence(stems, phrase))) ids.add(id);
+      }
+    }
+    return ids;
+  }
+
+  return {
+    add,
+    remove,
+    clear,
+    search,
+    excluded,
+    has: (id) => docs.has(id),
+    get size() {
+      return docs.size;
+    }
+  };
+}
+
+function escapeHtml(value) {
+  return String(value || "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+// Escaped HTML for `text` with query terms wrapped in <mark>. With `maxLength`, cuts a window around the densest
+// cluster of matches and adds ellipses.
+function highlight(text, parsed, { maxLength = 0 } = {}) {
+  const source = String(text || "").normalize("NFKC");
+  const terms = new Set(parsed.terms);
+  const tokens = tokenize(source);
+  const hits = tokens.filter((token) => terms.has(token.stem));
+  let start = 0;
+  let end = source.length;
+  if (maxLength && source.length > maxLength) {
+    let anchor = hits.length ? hits[0].start : 0;
+    let bestCount = 0;
+    for (const hit of hits) {
+      const count = hits.filter((other) => other.start >= hit.start && other.end <= hit.start + maxLength).length;
+      if (count > bestCount) {
+        bestCount = count;
+        anchor = hit.start;
+      }
+    }
+    start = Math.max(0, anchor - Math.floor(maxLength / 4));
+    const boundary = source.lastIndexOf(" ", start);
+    if (start > 0 && boundary !== -1 && anchor - boundary < maxLength / 2) start = boundary + 1;
+    end = Math.min(source.length, start + maxLength);
+    const endBoundary = source.lastIndexOf(" ", end);
+    if (end < source.length && endBoundary > start) end = endBoundary;
+  }
+
+  let html = "";
+  let cursor = start;
+  for (const hit of hits) {
+    if (hit.start < start || hit.end > end) continue;
+    html += `${escapeHtml(source.slice(cursor, hit.start))}<mark>${escapeHtml(hit.text)}</mark>`;
+    cursor = hit.end;
+  }
+  html += escapeHtml(source.slice(cursor, end));
+  return `${start > 0 ? "… " : ""}${html}${end < source.length ? " …" : ""}`;
+}
+
+module.exports = {
+  FIELD_WEIGHTS,
+  stem,
+  tokenize,
+  plainText,
+  QUERY_OPERATORS,
+  parseQuery,
+  createSearchIndex,
+  highlight
+};
@@ -8,19 +8,36 @@ const { marked } = require("marked");
 const sanitizeHtml = require("sanitize-html");
 const db = require("./db");
 const { sendMail } = require("./mailer");
+const media = require("./media");
+const { createNotificationMailer } = require("./notification-mail");
+const { resolveVideoEmbed } = require("./embeds");
+const { linkMentions } = require("./mentions");
+const { createApiRouter } = require("./api");
+const { createWebhookDispatcher } = require("./webhooks");
+const { FEED_FORMATS, formatByExtension, mediaEnclosure } = require("./syndication");
+const i18n = require("./i18n");
 
 const FileStore = require("session-file-store")(session);
 
 const app = express();
 const PORT = Number(process.env.PORT) || 3000;
 const APP_BASE_URL = process.env.APP_BASE_URL || `http://localhost:${PORT}`;
+const SESSION_SECRET = process.env.SESSION_SECRET || "replace-this-secret-in-production";
 const PAGE_SIZE = 10;
+const FEED_ITEM_LIMIT = 20;
+const STORAGE_COMPACT_INTERVAL_MS = Number(process.env.STORAGE_COMPACT_INTERVAL_MS) || 10 * 60 * 1000;
+
+const notificationMailer = createNotificationMailer({ baseUrl: APP_BASE_URL, secret: SESSION_SECRET });
+const webhookDispatcher = createWebhookDispatcher({ baseUrl: APP_BASE_URL });
+const WEBHOOK_POLL_INTERVAL_MS = 5 * 1000;
 
 const BLOCKED_WORDS = String(process.env.BLOCKED_WORDS || "")
   .split(",")
   .map((item) => item.trim().toLowerCase())
   .filter(Boolean);
 
+const apiTranslate = i18n.translator(i18n.DEFAULT_LOCALE);
+
 function setFlash(req, type, message) {
   req.session.flash = { type, message };
 }
@@ -31,57 +48,64 @@ function parsePage(value) {
   return page;
 }
 
-function relativeTime(input) {
-  const value = new Date(input).getTime();
-  const now = Date.now();
-  const diffSec = Math.max(1, Math.floor((now - value) / 1000));
-  const units = [
-    { label: "y", seconds: 31536000 },
-    { label: "mo", seconds: 2592000 },
-    { label: "d", seconds: 86400 },
-    { label: "h", seconds: 3600 },
-    { label: "m", seconds: 60 }
-  ];
-  for (const unit of units) {
-    if (diffSec >= unit.seconds) {
-      return `${Math.floor(diffSec / unit.seconds)}${unit.label} ago`;
-    }
-  }
-  return "just now";
+function mapMediaItemForView(item) {
+  return {
+    ...item,
+    embed: item.type === "video" ? resolveVideoEmbed(item.url) : null
+  };
+}
+
+function mapPostForView(post, locale) {
+  return {
+    ...post,
+    created_relative: i18n.relativeTime(locale, post.published_at || post.created_at),
+    media_items: post.media_items.map(mapMediaItemForView)
+  };
 }
 
-function toYouTubeEmbedUrl(url) {
-  if (!url) return "";
+function isAllowedMediaUrl(url) {
+  if (url.startsWith("/uploads/")) return !url.includes("..");
   try {
     const parsed = new URL(url);
-    if (parsed.hostname.includes("youtu.be")) {
-      const id = parsed.pathname.replace("/", "");
-      return id ? `https://www.youtube.com/embed/${id}` : "";
-    }
-    if (parsed.hostname.includes("youtube.com")) {
-      const id = parsed.searchParams.get("v");
-      return id ? `https://www.youtube.com/embed/${id}` : "";
-    }
-    return "";
+    return parsed.protocol === "http:" || parsed.protocol === "https:";
   } catch {
-    return "";
+    return false;
   }
 }
 
-function mapPostForView(post) {
-  const embedUrl = post.media_type === "video" ? toYouTubeEmbedUrl(post.media_url) : "";
-  return {
-    ...post,
-    created_relative: relativeTime(post.created_at),
-    youtube_embed_url: embedUrl
-  };
+// Thumbnails are never taken from the form: an uploaded file keeps the thumbnail stored alongside it.
+function parseMediaRows(raw, ownedUploads) {
+  let rows = [];
+  if (Array.isArray(raw)) {
+    rows = raw;
+  } else if (raw && typeof raw === "object") {
+    rows = Object.keys(raw)
+      .sort((a, b) => Number(a) - Number(b))
+      .map((key) => raw[key]);
+  }
+  return rows
+    .filter((row) => row && typeof row === "object" && row.remove !== "1")
+    .map((row) => {
+      const url = String(row.url || "").trim();
+      return {
+        type: String(row.type || "image").trim(),
+        url,
+        thumb_url: ownedUploads.get(url) || "",
+        caption: String(row.caption || "").trim(),
+        alt: String(row.alt || "").trim()
+      };
+    })
+    .filter((row) => row.url);
 }
 
-function normalizeMedia(mediaType, mediaUrl) {
-  if (!mediaUrl) {
-    return { mediaType: "none", mediaUrl: "" };
-  }
-  return { mediaType, mediaUrl: mediaUrl.trim() };
+function uploadsToMediaItems(uploads) {
+  return (uploads || []).map((upload) => ({
+    type: upload.media_type,
+    url: upload.url,
+    thumb_url: upload.thumb_url,
+    caption: "",
+    alt: ""
+  }));
 }
 
 function parseTags(raw) {
@@ -103,6 +127,20 @@ function parseBlockedWord(text) {
   return null;
 }
 
+function escapeHtml(value) {
+  return String(value || "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+function resolveMentionUsername(name) {
+  const user = db.getUserByUsername(name);
+  return user ? user.username : null;
+}
+
 function sanitizeRenderedMarkdown(markdown) {
   const rawHtml = marked.parse(markdown || "");
   return sanitizeHtml(rawHtml, {
@@ -129,7 +167,8 @@ function sanitizeRenderedMarkdown(markdown) {
       img: ["src", "alt"],
       code: ["class"]
     },
-    allowedSchemes: ["http", "https", "mailto"]
+    allowedSchemes: ["http", "https", "mailto"],
+    textFilter: (text, tag) => (["a", "code", "pre"].includes(tag) ? text : linkMentions(text, resolveMentionUsername))
   });
 }
 
@@ -142,15 +181,135 @@ function buildQuery(params) {
   return url.toString();
 }
 
+function parseCursor(value) {
+  return typeof value === "string" && value.length <= 512 ? value : null;
+}
+
+// Links for a cursor-paginated list: `path` plus its query params, with `cursorParam` set to the next page's cursor.
+function cursorPager(path, params, result, cursorParam = "cursor") {
+  const link = (cursor) => {
+    const query = buildQuery({ ...params, [cursorParam]: cursor });
+    return query ? `${path}?${query}` : path;
+  };
+  return {
+    cursor: result.cursor,
+    firstUrl: link(null),
+    nextUrl: result.nextCursor ? link(result.nextCursor) : null
+  };
+}
+
+// Infinite scroll fetches the "More posts" link as JSON and gets just the next page of cards back.
+function renderPostList(req, res, view, card, locals) {
+  res.vary("Accept");
+  if (req.accepts(["html", "json"]) !== "json") return res.render(view, locals);
+  return res.render("partials/post-cards", { ...locals, card }, (error, html) => {
+    if (error) return req.next(error);
+    return res.json({ html, next_url: locals.pagination.nextUrl });
+  });
+}
+
+function absoluteUrl(url) {
+  return url && url.startsWith("/") ? `${APP_BASE_URL}${url}` : url;
+}
+
+// Feeds are always built for an anonymous reader, and hidden posts are dropped again here as a second guard.
+function buildSyndicationFeed({ title, description, homePath, feedPath, posts }) {
+  const items = posts
+    .filter((post) => !post.is_hidden)
+    .slice(0, FEED_ITEM_LIMIT)
+    .map((post) => {
+      const published = post.published_at || post.publish_at || post.created_at;
+      return {
+        url: `${APP_BASE_URL}${post.path}`,
+        title: post.title,
+        summary: post.excerpt,
+        contentHtml: post.rendered_html,
+        published,
+        updated: post.updated_at && post.updated_at > published ? post.updated_at : published,
+        author: {
+          name: post.author_username,
+          url: `${APP_BASE_URL}/u/${encodeURIComponent(post.author_username)}`
+        },
+        tags: post.tags.map((tag) => tag.name),
+        enclosure: mediaEnclosure(post.media_type, absoluteUrl(post.media_url))
+      };
+    });
+  const feedUrls = {};
+  for (const [format, { extension }] of Object.entries(FEED_FORMATS)) {
+    feedUrls[format] = `${APP_BASE_URL}${feedPath}.${extension}`;
+  }
+  const newest = items.reduce((latest, item) => Math.max(latest, new Date(item.updated).getTime()), 0);
+  return {
+    title: `${title} | Viks Media`,
+    description,
+    homeUrl: `${APP_BASE_URL}${homePath}`,
+    feedUrls,
+    updated: newest || Date.now(),
+    items
+  };
+}
+
+function syndicationRoute(resolve) {
+  return (req, res) => {
+    const format = formatByExtension(req.params.format);
+    const feed = format ? resolve(req) : null;
+    if (!feed) {
+      return res.status(404).render("not-found", { pageTitle: req.t("notFound.title") });
+    }
+    const { contentType, render } = FEED_FORMATS[format];
+    const body = render(feed);
+    res.set("Content-Type", contentType);
+    res.set("Cache-Control", "public, max-age=300");
+    res.set("ETag", `W/"${crypto.createHash("sha1").update(body).digest("base64url")}"`);
+    res.set("Last-Modified", new Date(feed.updated).toUTCString());
+    if (req.fresh) return res.status(304).end();
+    return res.send(body);
+  };
+}
+
+const SITE_NAME = "Viks Media";
+const SITE_DESCRIPTION = "Media community for videographers, photographers and creators.";
+
+// Head metadata for social previews and search engines; rendered by partials/head.ejs.
+function setPageMeta(res, { title, description, path: pagePath, type = "website", image, imageAlt, jsonLd, noindex }) {
+  res.locals.pageMeta = {
+    title,
+    description: String(description || SITE_DESCRIPTION).replace(/\s+/g, " ").trim().slice(0, 300),
+    canonicalUrl: `${APP_BASE_URL}${pagePath}`,
+    type,
+    image: absoluteUrl(image || "") || "",
+    imageAlt: imageAlt || "",
+    // "<" is escaped so text inside the JSON cannot close the script element.
+    jsonLd: jsonLd ? JSON.stringify(jsonLd).replace(/</g, "\\u003c") : "",
+    noindex: Boolean(noindex)
+  };
+}
+
+function postPreviewImage(post) {
+  if (post.media_type === "image") return post.media_url;
+  return post.media_thumb_url || "";
+}
+
+function feedLinksFor(title, feedPath) {
+  return Object.values(FEED_FORMATS).map(({ label, extension, contentType }) => ({
+    title: `${title} (${label})`,
+    type: contentType.split(";")[0],
+    href: `${feedPath}.${extension}`
+  }));
+}
+
 function redirectBack(req, res, fallback = "/") {
   return res.redirect(req.get("referer") || fallback);
 }
 
+function hashToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
 function createTokenPayload(hours = 24) {
   const token = crypto.randomBytes(32).toString("hex");
-  const hash = crypto.createHash("sha256").update(token).digest("hex");
   const expiresAt = new Date(Date.now() + hours * 60 * 60 * 1000).toISOString();
-  return { token, tokenHash: hash, expiresAt };
+  return { token, tokenHash: hashToken(token), expiresAt };
 }
 
 async function sendVerificationEmail(user, token) {
@@ -173,10 +332,11 @@ async function sendResetEmail(user, token) {
   });
 }
 
-function buildCommentRows(comments) {
+function buildCommentRows(comments, locale) {
   return comments.map((comment) => ({
     ...comment,
-    created_relative: relativeTime(comment.created_at),
+    body_html: linkMentions(escapeHtml(comment.body), resolveMentionUsername),
+    created_relative: i18n.relativeTime(locale, comment.created_at),
     indent_level: Math.min(comment.depth, 12),
     deep_collapsed: comment.depth > 12
   }));
@@ -184,7 +344,7 @@ function buildCommentRows(comments) {
 
 function requireAuth(req, res, next) {
   if (!req.currentUser) {
-    setFlash(req, "error", "Please log in to continue.");
+    setFlash(req, "error", req.t("flash.loginRequired"));
     return res.redirect("/login");
   }
   return next();
@@ -192,15 +352,15 @@ function requireAuth(req, res, next) {
 
 function requireVerified(req, res, next) {
   if (!req.currentUser) {
-    setFlash(req, "error", "Please log in to continue.");
+    setFlash(req, "error", req.t("flash.loginRequired"));
     return res.redirect("/login");
   }
   if (!req.currentUser.email_verified) {
-    setFlash(req, "error", "Please verify your email first.");
+    setFlash(req, "error", req.t("flash.verifyEmailFirst"));
     return res.redirect("/account");
   }
   if (req.currentUser.status !== "active") {
-    setFlash(req, "error", "Your account is restricted.");
+    setFlash(req, "error", req.t("flash.accountRestricted"));
     return res.redirect("/");
   }
   return next();
@@ -208,14 +368,14 @@ function requireVerified(req, res, next) {
 
 function requireModerator(req, res, next) {
   if (!req.currentUser || !db.canUserModerate(req.currentUser)) {
-    return res.status(403).render("not-found", { pageTitle: "Not found" });
+    return res.status(403).render("not-found", { pageTitle: req.t("notFound.title") });
   }
   return next();
 }
 
 function requireAdmin(req, res, next) {
   if (!req.currentUser || !db.canUserAdmin(req.currentUser)) {
-    return res.status(403).render("not-found", { pageTitle: "Not found" });
+    return res.status(403).render("not-found", { pageTitle: req.t("notFound.title") });
   }
   return next();
 }
@@ -226,7 +386,7 @@ const authLimiter = rateLimit({
   standardHeaders: true,
   legacyHeaders: false,
   handler(req, res) {
-    setFlash(req, "error", "Too many requests. Please wait and try again.");
+    setFlash(req, "error", req.t("flash.tooManyRequests"));
     return redirectBack(req, res, "/");
   }
 });
@@ -237,7 +397,7 @@ const writeLimiter = rateLimit({
   standardHeaders: true,
   legacyHeaders: false,
   handler(req, res) {
-    setFlash(req, "error", "Action limited. Please slow down.");
+    setFlash(req, "error", req.t("flash.actionLimited"));
     return redirectBack(req, res, "/");
   }
 });
@@ -248,24 +408,67 @@ const toggleLimiter = rateLimit({
   standardHeaders: true,
   legacyHeaders: false,
   handler(req, res) {
-    setFlash(req, "error", "Too many actions. Please wait and retry.");
+    setFlash(req, "error", req.t("flash.tooManyActions"));
     return redirectBack(req, res, "/");
   }
 });
 
+const uploader = media.createUploader();
+
+function acceptUploads(field, kind, maxCount = 1) {
+  const receive = uploader.array(field, maxCount);
+  return (req, res, next) => {
+    receive(req, res, async (error) => {
+      if (error) {
+        setFlash(req, "error", req.t(media.describeUploadError(error)));
+        return redirectBack(req, res, "/");
+      }
+      const uploads = [];
+      let failure = null;
+      for (const file of req.files || []) {
+        const upload = await media.saveUpload(file, kind);
+        if (upload.error) {
+          failure = failure || upload.error;
+        } else {
+          uploads.push(upload);
+        }
+      }
+      if (failure) {
+        media.discardUploads(uploads);
+        setFlash(req, "error", req.t(failure));
+        return redirectBack(req, res, "/");
+      }
+      req.uploads = uploads;
+      return next();
+    });
+  };
+}
+
+// Files stored by acceptUploads are only kept when the request saves them; every rejection deletes them again.
+function discardUploads(req) {
+  media.discardUploads(req.uploads);
+  req.uploads = [];
+}
+
 app.set("view engine", "ejs");
 app.set("views", path.join(__dirname, "..", "views"));
 
+// The API authenticates with access tokens and answers in JSON, so it sits in front of the session middleware.
+app.use(
+  "/api/v1",
+  createApiRouter({ baseUrl: APP_BASE_URL, readPostForm, buildPostRecord, parseBlockedWord, hashToken })
+);
 app.use(express.urlencoded({ extended: true }));
 app.use(express.json());
 app.use(express.static(path.join(__dirname, "..", "public")));
+app.use("/uploads", express.static(media.uploadsDir, { index: false }));
 app.use(
   session({
     store: new FileStore({
       path: path.join(__dirname, "..", "data", "sessions"),
       retries: 0
     }),
-    secret: process.env.SESSION_SECRET || "replace-this-secret-in-production",
+    secret: SESSION_SECRET,
     resave: false,
     saveUninitialized: false,
     cookie: {
@@ -290,11 +493,27 @@ app.use((req, res, next) => {
     req.currentUser = currentUser || null;
   }
 
+  // A language saved on /account wins; otherwise the best match for the browser's Accept-Language header.
+  req.locale =
+    req.currentUser && i18n.isLocale(req.currentUser.locale)
+      ? req.currentUser.locale
+      : i18n.detectLocale(req.get("accept-language"));
+  req.t = i18n.translator(req.locale);
+  res.vary("Accept-Language");
+  res.locals.locale = req.locale;
+  res.locals.t = req.t;
+  res.locals.formatDate = (input, options) => i18n.formatDate(req.locale, input, options);
+  res.locals.localeNames = i18n.LOCALE_NAMES;
+
   res.locals.categories = db.getAllCategories();
   res.locals.popularTags = db.getPopularTags(24);
   res.locals.creators = db.getTopCreators(5);
   res.locals.trending = db.getTrendingPosts(6);
-  res.locals.notifications = req.currentUser ? db.getUserNotifications(req.currentUser.id, 20) : [];
+  res.locals.notifications = req.currentUser
+    ? db.getUserNotifications(req.currentUser.id, { pageSize: 10 }).items
+    : [];
+  res.locals.unreadNotificationCount = req.currentUser ? db.countUnreadNotifications(req.currentUser.id) : 0;
+  res.locals.subscriptions = req.currentUser ? db.getUserTopicSubscriptions(req.currentUser.id) : null;
   res.locals.query = typeof req.query.q === "string" ? req.query.q : "";
   res.locals.activePath = req.path;
   res.locals.flash = req.session.flash || null;
@@ -308,79 +527,236 @@ app.get("/", (req, res) => {
   const categorySlug = typeof req.query.category === "string" ? req.query.category.trim() : "";
   const tagSlug = typeof req.query.tag === "string" ? req.query.tag.trim() : "";
   const q = typeof req.query.q === "string" ? req.query.q.trim() : "";
-  const page = parsePage(req.query.page);
+  const cursor = parseCursor(req.query.cursor);
+  const feedTab = req.query.feed === "following" ? "following" : "";
+  const sort = typeof req.query.sort === "string" ? req.query.sort : "";
+  const period = typeof req.query.period === "string" ? req.query.period : "";
+  if (feedTab && !req.currentUser) {
+    setFlash(req, "error", req.t("flash.loginForFollowing"));
+    return res.redirect("/login");
+  }
 
   const feed = db.getFeedPosts({
     viewerId: req.currentUser ? req.currentUser.id : null,
     categorySlug: categorySlug || null,
     tagSlug: tagSlug || null,
     query: q || null,
-    page,
+    followingOnly: Boolean(feedTab),
+    rankSubscriptions: Boolean(req.currentUser && !feedTab && !categorySlug && !tagSlug && !q),
+    sort,
+    period,
+    cursor,
     pageSize: PAGE_SIZE
   });
 
   const selectedCategory = categorySlug ? db.getCategoryBySlug(categorySlug) : null;
   const selectedTag = tagSlug ? db.getTagBySlug(tagSlug) : null;
-  const posts = feed.items.map(mapPostForView);
+  const posts = feed.items.map((post) => mapPostForView(post, req.locale));
+  if (selectedTag) {
+    res.locals.feedLinks = feedLinksFor(`#${selectedTag.name}`, `/tags/${selectedTag.slug}/feed`);
+  } else if (selectedCategory) {
+    res.locals.feedLinks = feedLinksFor(selectedCategory.name, `/categories/${selectedCategory.slug}/feed`);
+  } else {
+    res.locals.feedLinks = feedLinksFor("Viks Media", "/feed");
+  }
+  const listingQuery = buildQuery({ category: selectedCategory ? selectedCategory.slug : "", tag: tagSlug });
+  setPageMeta(res, {
+    title: selectedTag ? `#${selectedTag.name}` : selectedCategory ? selectedCategory.name : SITE_NAME,
+    description: selectedTag
+      ? `Publications tagged #${selectedTag.name} on ${SITE_NAME}.`
+      : selectedCategory
+        ? `${selectedCategory.name} publications on ${SITE_NAME}.`
+        : SITE_DESCRIPTION,
+    path: listingQuery ? `/?${listingQuery}` : "/",
+    noindex: Boolean(q || feedTab),
+    jsonLd: listingQuery
+      ? null
+      : {
+          "@context": "https://schema.org",
+          "@type": "WebSite",
+          name: SITE_NAME,
+          url: APP_BASE_URL,
+          potentialAction: {
+            "@type": "SearchAction",
+            target: `${APP_BASE_URL}/search?q={query}`,
+            "query-input": "required name=query"
+          }
+        }
+  });
+  const filters = {
+    category: categorySlug,
+    tag: tagSlug,
+    q,
+    feed: feedTab,
+    sort: feed.sort === "new" ? "" : feed.sort,
+    period: feed.sort === "top" || feed.sort === "discussed" ? feed.period : ""
+  };
 
-  res.render("index", {
+  return renderPostList(req, res, "index", "post-card", {
     pageTitle: q
-      ? `Search: ${q}`
+      ? req.t("search.titleWithQuery", { query: q })
       : selectedTag
-        ? `Tag: ${selectedTag.name}`
+        ? req.t("feed.tagTitle", { tag: selectedTag.name })
         : selectedCategory
-          ? `${selectedCategory.name} publications`
-          : "Latest publications",
+          ? req.t("feed.categoryTitle", { category: selectedCategory.name })
+          : req.t(feedTab ? "feed.following" : "feed.latestTitle"),
     posts,
     selectedCategory,
     selectedTag,
     query: q,
-    pagination: {
-      page: feed.page,
-      pages: feed.pages,
-      total: feed.total
-    },
-    filters: {
-      category: categorySlug,
-      tag: tagSlug,
-      q
-    },
+    feedTab,
+    pagination: cursorPager("/", filters, feed),
+    filters,
     trending: db.getTrendingPosts(),
     creators: db.getTopCreators()
   });
 });
 
+const SEARCH_FILTER_PARAMS = ["author", "category", "tag", "type", "media", "likes", "after", "before"];
+
 app.get("/search", (req, res) => {
   const q = typeof req.query.q === "string" ? req.query.q.trim() : "";
-  const page = parsePage(req.query.page);
+  const formFilters = {};
+  for (const key of SEARCH_FILTER_PARAMS) {
+    formFilters[key] = typeof req.query[key] === "string" ? req.query[key].trim() : "";
+  }
   const search = db.getSearchPosts({
     viewerId: req.currentUser ? req.currentUser.id : null,
     query: q || null,
-    page,
+    filters: formFilters,
+    sort: typeof req.query.sort === "string" ? req.query.sort : "",
+    cursor: parseCursor(req.query.cursor),
     pageSize: PAGE_SIZE
   });
-  const posts = search.items.map(mapPostForView);
-  res.render("index", {
-    pageTitle: q ? `Search: ${q}` : "Search",
+  const posts = search.items.map((post) => mapPostForView(post, req.locale));
+  // The form echoes what was submitted through it; inline operators stay in `q`.
+  const params = { q, ...formFilters, sort: req.query.sort ? search.sort : "" };
+  return renderPostList(req, res, "index", "post-card", {
+    pageTitle: q ? req.t("search.titleWithQuery", { query: q }) : req.t("search.title"),
     posts,
     selectedCategory: null,
     selectedTag: null,
     query: q,
-    pagination: {
-      page: search.page,
-      pages: search.pages,
-      total: search.total
-    },
+    pagination: cursorPager("/search", params, search),
     filters: {
       category: "",
       tag: "",
       q
     },
+    searchPanel: {
+      params,
+      sort: search.sort,
+      ranked: search.ranked,
+      users: db.searchUsers(search.text),
+      tags: db.searchTags(search.text)
+    },
     trending: db.getTrendingPosts(),
     creators: db.getTopCreators()
   });
 });
 
+app.get("/robots.txt", (req, res) => {
+  const disallowed = [
+    "/account",
+    "/admin/",
+    "/moderation/",
+    "/notifications",
+    "/bookmarks",
+    "/posts/new",
+    "/search",
+    "/api/",
+    "/login",
+    "/register"
+  ];
+  const lines = ["User-agent: *", ...disallowed.map((path) => `Disallow: ${path}`)];
+  res.type("text/plain");
+  return res.send(`${lines.join("\n")}\n\nSitemap: ${APP_BASE_URL}/sitemap.xml\n`);
+});
+
+app.get("/sitemap.xml", (req, res) => {
+  const entries = db.getSitemapEntries();
+  const url = (loc, lastmod) =>
+    `<url><loc>${escapeHtml(`${APP_BASE_URL}${loc}`)}</loc>${lastmod ? `<lastmod>${lastmod}</lastmod>` : ""}</url>`;
+  const lines = [
+    url("/", entries.posts.length ? entries.posts[0].lastmod : null),
+    ...entries.categories.map((category) => url(`/?${buildQuery({ category: category.slug })}`, category.lastmod)),
+    ...entries.tags.map((tag) => url(`/?${buildQuery({ tag: tag.slug })}`)),
+    ...entries.users.map((user) => url(`/u/${encodeURIComponent(user.username)}`, user.lastmod)),
+    ...entries.posts.map((post) => url(post.path, post.lastmod))
+  ];
+  res.type("application/xml");
+  res.set("Cache-Control", "public, max-age=3600");
+  return res.send(
+    [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+      ...lines,
+      "</urlset>",
+      ""
+    ].join("\n")
+  );
+});
+
+app.get(
+  "/feed.:format",
+  syndicationRoute(() =>
+    buildSyndicationFeed({
+      title: "Latest publications",
+      description: "New publications from the Viks Media community.",
+      homePath: "/",
+      feedPath: "/feed",
+      posts: db.getFeedPosts({ viewerId: null, pageSize: FEED_ITEM_LIMIT }).items
+    })
+  )
+);
+
+app.get(
+  "/categories/:slug/feed.:format",
+  syndicationRoute((req) => {
+    const category = db.getCategoryBySlug(req.params.slug);
+    if (!category) return null;
+    return buildSyndicationFeed({
+      title: category.name,
+      description: `New ${category.name} publications on Viks Media.`,
+      homePath: `/categories/${category.slug}`,
+      feedPath: `/categories/${category.slug}/feed`,
+      posts: db.getFeedPosts({ viewerId: null, categorySlug: category.slug, pageSize: FEED_ITEM_LIMIT }).items
+    });
+  })
+);
+
+app.get(
+  "/tags/:slug/feed.:format",
+  syndicationRoute((req) => {
+    const tag = db.getTagBySlug(req.params.slug);
+    if (!tag) return null;
+    return buildSyndicationFeed({
+      title: `#${tag.name}`,
+      description: `New publications tagged #${tag.name} on Viks Media.`,
+      homePath: `/tags/${tag.slug}`,
+      feedPath: `/tags/${tag.slug}/feed`,
+      posts: db.getFeedPosts({ viewerId: null, tagSlug: tag.slug, pageSize: FEED_ITEM_LIMIT }).items
+    });
+  })
+);
+
+app.get(
+  "/u/:username/feed.:format",
+  syndicationRoute((req) => {
+    // Suspended and banned authors are left out of the sitemap too.
+    const user = db.getUserByUsername(req.params.username);
+    if (!user || user.status !== "active") return null;
+    const profilePath = `/u/${encodeURIComponent(user.username)}`;
+    return buildSyndicationFeed({
+      title: `@${user.username}`,
+      description: user.bio || `Publications by @${user.username} on Viks Media.`,
+      homePath: profilePath,
+      feedPath: `${profilePath}/feed`,
+      posts: db.getUserPostsPage(user.id, null, { pageSize: FEED_ITEM_LIMIT }).items
+    });
+  })
+);
+
 app.get("/categories/:slug", (req, res) => {
   return res.redirect(`/?${buildQuery({ category: req.params.slug })}`);
 });
@@ -389,9 +765,26 @@ app.get("/tags/:slug", (req, res) => {
   return res.redirect(`/?${buildQuery({ tag: req.params.slug })}`);
 });
 
+function toggleTopicSubscription(req, res, targetType, target) {
+  if (!target) {
+    setFlash(req, "error", req.t(`flash.${targetType}NotFound`));
+    return redirectBack(req, res);
+  }
+  db.toggleTopicSubscription({ userId: req.currentUser.id, targetType, targetId: target.id });
+  return redirectBack(req, res);
+}
+
+app.post("/categories/:slug/subscribe", requireAuth, toggleLimiter, (req, res) => {
+  return toggleTopicSubscription(req, res, "category", db.getCategoryBySlug(req.params.slug));
+});
+
+app.post("/tags/:slug/subscribe", requireAuth, toggleLimiter, (req, res) => {
+  return toggleTopicSubscription(req, res, "tag", db.getTagBySlug(req.params.slug));
+});
+
 app.get("/register", (req, res) => {
   if (req.currentUser) return res.redirect("/");
-  return res.render("register", { pageTitle: "Create account" });
+  return res.render("register", { pageTitle: req.t("register.title") });
 });
 
 app.post("/register", authLimiter, async (req, res) => {
@@ -402,23 +795,23 @@ app.post("/register", authLimiter, async (req, res) => {
   const password = req.body.password || "";
 
   if (username.length < 3 || username.length > 24) {
-    setFlash(req, "error", "Username must be 3 to 24 characters.");
+    setFlash(req, "error", req.t("flash.usernameLength"));
     return res.redirect("/register");
   }
   if (!email.includes("@") || email.length < 5) {
-    setFlash(req, "error", "Enter a valid email address.");
+    setFlash(req, "error", req.t("flash.invalidEmail"));
     return res.redirect("/register");
   }
   if (password.length < 6) {
-    setFlash(req, "error", "Password must be at least 6 characters.");
+    setFlash(req, "error", req.t("flash.passwordLength"));
     return res.redirect("/register");
   }
   if (db.getUserByEmail(email)) {
-    setFlash(req, "error", "Email is already in use.");
+    setFlash(req, "error", req.t("flash.emailTaken"));
     return res.redirect("/register");
   }
   if (db.getUserByUsername(username)) {
-    setFlash(req, "error", "Username is already in use.");
+    setFlash(req, "error", req.t("flash.usernameTaken"));
     return res.redirect("/register");
   }
 
@@ -433,7 +826,7 @@ app.post("/register", authLimiter, async (req, res) => {
     console.error("Verification email failed", error);
   }
   req.session.userId = user.id;
-  setFlash(req, "success", "Account created. Verify your email to unlock publishing actions.");
+  setFlash(req, "success", req.t("flash.accountCreated"));
   return res.redirect("/account");
 });
 
@@ -442,11 +835,11 @@ app.get("/verify-email/:token", (req, res) => {
   const tokenHash = crypto.createHash("sha256").update(token).digest("hex");
   const user = db.verifyUserByTokenHash(tokenHash);
   if (!user) {
-    setFlash(req, "error", "Verification link is invalid or expired.");
+    setFlash(req, "error", req.t("flash.verificationInvalid"));
     return res.redirect("/login");
   }
   req.session.userId = user.id;
-  setFlash(req, "success", "Email verified. You can now post and interact.");
+  setFlash(req, "success", req.t("flash.emailVerified"));
   return res.redirect("/account");
 });
 
@@ -454,7 +847,7 @@ app.post("/resend-verification", requireAuth, authLimiter, async (req, res) => {
   const user = db.getUserById(req.currentUser.id);
   if (!user) return res.redirect("/login");
   if (user.email_verified) {
-    setFlash(req, "success", "Your email is already verified.");
+    setFlash(req, "success", req.t("flash.emailAlreadyVerified"));
     return res.redirect("/account");
   }
   const tokenData = createTokenPayload(24);
@@ -465,13 +858,13 @@ app.post("/resend-verification", requireAuth, authLimiter, async (req, res) => {
     // eslint-disable-next-line no-console
     console.error("Resend verification failed", error);
   }
-  setFlash(req, "success", "Verification email sent.");
+  setFlash(req, "success", req.t("flash.verificationSent"));
   return res.redirect("/account");
 });
 
 app.get("/login", (req, res) => {
   if (req.currentUser) return res.redirect("/");
-  return res.render("login", { pageTitle: "Log in" });
+  return res.render("login", { pageTitle: req.t("login.title") });
 });
 
 app.post("/login", authLimiter, (req, res) => {
@@ -482,15 +875,15 @@ app.post("/login", authLimiter, (req, res) => {
   const user = db.getUserByEmail(email);
 
   if (!user || !bcrypt.compareSync(password, user.password_hash)) {
-    setFlash(req, "error", "Invalid email or password.");
+    setFlash(req, "error", req.t("flash.invalidCredentials"));
     return res.redirect("/login");
   }
   if (user.status !== "active") {
-    setFlash(req, "error", "This account is restricted.");
+    setFlash(req, "error", req.t("flash.thisAccountRestricted"));
     return res.redirect("/login");
   }
   req.session.userId = user.id;
-  setFlash(req, "success", "Welcome back.");
+  setFlash(req, "success", req.t("flash.welcomeBack"));
   return res.redirect("/");
 });
 
@@ -501,7 +894,7 @@ app.post("/logout", (req, res) => {
 });
 
 app.get("/forgot-password", (req, res) => {
-  return res.render("forgot-password", { pageTitle: "Forgot password" });
+  return res.render("forgot-password", { pageTitle: req.t("forgotPassword.title") });
 });
 
 app.post("/forgot-password", authLimiter, async (req, res) => {
@@ -517,7 +910,7 @@ app.post("/forgot-password", authLimiter, async (req, res) => {
       console.error("Reset email failed", error);
     }
   }
-  setFlash(req, "success", "If this email exists, a reset link has been sent.");
+  setFlash(req, "success", req.t("flash.resetSent"));
   return res.redirect("/login");
 });
 
@@ -526,7 +919,7 @@ app.get("/reset-password/:token", (req, res) => {
   const tokenHash = crypto.createHash("sha256").update(token).digest("hex");
   const user = db.getUserByResetTokenHash(tokenHash);
   return res.render("reset-password", {
-    pageTitle: "Reset password",
+    pageTitle: req.t("resetPassword.title"),
     token,
     isValidToken: Boolean(user)
   });
@@ -540,25 +933,49 @@ app.post("/reset-password/:token", authLimiter, (req, res) => {
   const confirmPassword = req.body.confirm_password || "";
 
   if (!user) {
-    setFlash(req, "error", "Reset token is invalid or expired.");
+    setFlash(req, "error", req.t("flash.resetInvalid"));
     return res.redirect("/forgot-password");
   }
   if (password.length < 6) {
-    setFlash(req, "error", "Password must be at least 6 characters.");
+    setFlash(req, "error", req.t("flash.passwordLength"));
     return res.redirect(`/reset-password/${encodeURIComponent(token)}`);
   }
   if (password !== confirmPassword) {
-    setFlash(req, "error", "Passwords do not match.");
+    setFlash(req, "error", req.t("flash.passwordsMismatch"));
     return res.redirect(`/reset-password/${encodeURIComponent(token)}`);
   }
   const passwordHash = bcrypt.hashSync(password, 12);
   db.resetPasswordByTokenHash(tokenHash, passwordHash);
-  setFlash(req, "success", "Password updated. You can now log in.");
+  setFlash(req, "success", req.t("flash.passwordUpdated"));
   return res.redirect("/login");
 });
 
+// A rejected submission re-renders the editor with what was typed, so nothing is lost and nothing is saved.
+function renderPostEditor(req, res, { post = null, values = null, error = null } = {}) {
+  const isLive = Boolean(post && db.isPostLive(post));
+  const category = values ? db.getCategoryById(values.categoryId) : null;
+  const discarded = new Set(error ? (req.uploads || []).map((upload) => upload.url) : []);
+  if (error) discardUploads(req);
+  return res.status(error ? 422 : 200).render("new-post", {
+    pageTitle: req.t(!post ? "editor.newTitle" : isLive ? "editor.editTitle" : "editor.editDraftTitle"),
+    post: post ? db.getPostById({ postId: post.id, viewerId: req.currentUser.id }) : null,
+    postIsLive: isLive,
+    maxMediaItems: db.MAX_MEDIA_ITEMS,
+    form: values
+      ? {
+          category_slug: category ? category.slug : "",
+          title: values.title,
+          markdown_body: values.markdownBody,
+          tags: values.tagNames.join(", "),
+          media_items: values.mediaItems.filter((item) => !discarded.has(item.url))
+        }
+      : null,
+    ...(error ? { flash: { type: "error", message: error } } : {})
+  });
+}
+
 app.get("/posts/new", requireAuth, requireVerified, (req, res) => {
-  return res.render("new-post", { pageTitle: "New publication" });
+  return renderPostEditor(req, res);
 });
 
 app.post("/preview-markdown", requireAuth, requireVerified, writeLimiter, (req, res) => {
@@ -568,64 +985,261 @@ app.post("/preview-markdown", requireAuth, requireVerified, writeLimiter, (req,
   });
 });
 
-app.post("/posts", requireAuth, requireVerified, writeLimiter, (req, res) => {
-  const categoryId = Number(req.body.category_id);
-  const title = (req.body.title || "").trim();
-  const markdownBody = (req.body.markdown_body || "").trim();
-  const mediaType = (req.body.media_type || "none").trim();
-  const mediaUrl = (req.body.media_url || "").trim();
-  const tagNames = parseTags(req.body.tags || "");
+// Posts may only reference uploaded files from this request or ones the author's posts already use.
+function collectPostFields(body, { userId, uploads = [] }) {
+  const ownedUploads = db.getUserUploads(userId);
+  for (const upload of uploads) ownedUploads.set(upload.url, upload.thumb_url || "");
+  return {
+    categoryId: Number(body.category_id),
+    title: (body.title || "").trim(),
+    markdownBody: (body.markdown_body || "").trim(),
+    mediaItems: [...parseMediaRows(body.media, ownedUploads), ...uploadsToMediaItems(uploads)],
+    tagNames: parseTags(body.tags || ""),
+    ownedUploads
+  };
+}
+
+function isUsableMediaUrl(url, ownedUploads) {
+  return url.length <= 500 && isAllowedMediaUrl(url) && (!url.startsWith("/uploads/") || ownedUploads.has(url));
+}
 
-  const category = db.getCategoryById(categoryId);
-  if (!category) {
-    setFlash(req, "error", "Choose a valid category.");
-    return res.redirect("/posts/new");
+// The API shares these validators and always answers in English.
+function validatePostFields(values, t = apiTranslate) {
+  if (!db.getCategoryById(values.categoryId)) {
+    return t("post.error.category");
   }
-  if (title.length < 6 || title.length > 160) {
-    setFlash(req, "error", "Title must be 6 to 160 characters.");
-    return res.redirect("/posts/new");
+  if (values.title.length < 6 || values.title.length > 160) {
+    return t("post.error.titleLength");
   }
-  if (markdownBody.length < 20) {
-    setFlash(req, "error", "Publication text must be at least 20 characters.");
-    return res.redirect("/posts/new");
+  if (values.markdownBody.length < 20) {
+    return t("post.error.bodyLength");
   }
-  if (!["none", "image", "video"].includes(mediaType)) {
-    setFlash(req, "error", "Unsupported media type.");
-    return res.redirect("/posts/new");
+  if (values.mediaItems.length > db.MAX_MEDIA_ITEMS) {
+    return t("post.error.tooManyMedia", { count: db.MAX_MEDIA_ITEMS });
   }
-  if (mediaType !== "none" && mediaUrl.length < 5) {
-    setFlash(req, "error", "Media URL is required for image or video posts.");
-    return res.redirect("/posts/new");
+  for (const item of values.mediaItems) {
+    if (!db.MEDIA_TYPES.includes(item.type)) {
+      return t("post.error.mediaType");
+    }
+    if (!isUsableMediaUrl(item.url, values.ownedUploads)) {
+      return t("post.error.mediaUrl");
+    }
+    if (item.type === "video" && !resolveVideoEmbed(item.url)) {
+      return t("post.error.videoUrl");
+    }
+    if (item.caption.length > 300 || item.alt.length > 300) {
+      return t("post.error.mediaTextLength");
+    }
   }
 
-  const blocked = parseBlockedWord(`${title} ${markdownBody}`);
+  const captions = values.mediaItems.map((item) => `${item.caption} ${item.alt}`).join(" ");
+  const blocked = parseBlockedWord(`${values.title} ${values.markdownBody} ${captions}`);
   if (blocked) {
-    setFlash(req, "error", `Blocked content detected: "${blocked}".`);
-    return res.redirect("/posts/new");
+    return t("flash.blockedWord", { word: blocked });
   }
+  return null;
+}
 
-  const normalized = normalizeMedia(mediaType, mediaUrl);
-  const renderedHtml = sanitizeRenderedMarkdown(markdownBody);
-  const post = db.createPost({
-    user_id: req.currentUser.id,
-    category_id: categoryId,
-    title,
+function readPostForm(body, { userId, uploads = [], t = apiTranslate }) {
+  const values = collectPostFields(body, { userId, uploads });
+  return { error: validatePostFields(values, t), values };
+}
+
+function buildPostRecord(values) {
+  return {
+    category_id: values.categoryId,
+    title: values.title,
+    markdown_body: values.markdownBody,
+    rendered_html: sanitizeRenderedMarkdown(values.markdownBody),
+    excerpt: db.summarize(values.markdownBody),
+    reading_time_minutes: db.computeReadingTime(values.markdownBody),
+    media_items: values.mediaItems,
+    tag_names: values.tagNames
+  };
+}
+
+function buildDraftRecord(values) {
+  const markdownBody = values.markdownBody.slice(0, 20000);
+  return {
+    category_id: values.categoryId,
+    title: values.title.slice(0, 160),
     markdown_body: markdownBody,
-    rendered_html: renderedHtml,
-    excerpt: db.summarize(markdownBody),
-    reading_time_minutes: db.computeReadingTime(markdownBody),
-    media_url: normalized.mediaUrl,
-    media_type: normalized.mediaType,
-    tag_names: tagNames
+    rendered_html: sanitizeRenderedMarkdown(markdownBody),
+    media_items: values.mediaItems
+      .filter((item) => isUsableMediaUrl(item.url, values.ownedUploads))
+      .map((item) => ({ ...item, caption: item.caption.slice(0, 300), alt: item.alt.slice(0, 300) })),
+    tag_names: values.tagNames
+  };
+}
+
+function parsePublishAt(body) {
+  const raw = String(body.publish_at || "").trim();
+  if (!/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}$/.test(raw)) return null;
+  const offsetRaw = String(body.timezone_offset || "").trim();
+  const offset = Number(offsetRaw);
+  const value =
+    offsetRaw && Number.isFinite(offset)
+      ? new Date(`${raw}:00Z`).getTime() + offset * 60 * 1000
+      : new Date(raw).getTime();
+  return Number.isNaN(value) ? null : new Date(value).toISOString();
+}
+
+function readPublishIntent(body, t) {
+  const intent = ["draft", "schedule", "publish"].includes(body.intent) ? body.intent : "publish";
+  if (intent !== "schedule") {
+    return { intent, publishAt: null, error: null };
+  }
+  const publishAt = parsePublishAt(body);
+  if (!publishAt || new Date(publishAt).getTime() <= Date.now()) {
+    return { intent, publishAt: null, error: t("post.error.publishAtPast") };
+  }
+  return { intent, publishAt, error: null };
+}
+
+function getOwnPost(req, postIdInput = req.params.id) {
+  const postId = Number(postIdInput);
+  if (!Number.isInteger(postId) || postId <= 0) return null;
+  const post = db.getPostByIdForModeration(postId);
+  if (!post || post.user_id !== req.currentUser.id) return null;
+  return post;
+}
+
+function submitUnpublishedPost(req, res, draft) {
+  const { intent, publishAt, error: scheduleError } = readPublishIntent(req.body, req.t);
+  const values = collectPostFields(req.body, { userId: req.currentUser.id, uploads: req.uploads });
+  const error = intent === "draft" ? null : validatePostFields(values, req.t) || scheduleError;
+
+  if (error) {
+    return renderPostEditor(req, res, { post: draft, values, error });
+  }
+  if (intent === "draft") {
+    const saved = db.saveDraft({
+      user_id: req.currentUser.id,
+      post_id: draft ? draft.id : null,
+      ...buildDraftRecord(values)
+    });
+    setFlash(req, "success", req.t("flash.draftSaved"));
+    return res.redirect(saved ? `/posts/${saved.id}/edit` : "/posts/new");
+  }
+
+  const record = {
+    ...buildPostRecord(values),
+    status: intent === "schedule" ? "scheduled" : "published",
+    publish_at: publishAt
+  };
+  const post = draft
+    ? db.updatePost(draft.id, { editor_user_id: req.currentUser.id, ...record })
+    : db.createPost({ user_id: req.currentUser.id, ...record });
+  setFlash(req, "success", req.t(intent === "schedule" ? "flash.postScheduled" : "flash.postPublished"));
+  return res.redirect(db.postPath(post));
+}
+
+const autosaveLimiter = rateLimit({
+  windowMs: Number(process.env.RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000,
+  max: 300,
+  standardHeaders: true,
+  legacyHeaders: false,
+  handler(req, res) {
+    return res.status(429).json({ error: req.t("editor.autosaveLimited") });
+  }
+});
+
+app.post("/posts/autosave", requireAuth, requireVerified, autosaveLimiter, (req, res) => {
+  const draftId = req.body.draft_id ? Number(req.body.draft_id) : null;
+  if (draftId) {
+    const existing = getOwnPost(req, draftId);
+    if (!existing || existing.status !== "draft") {
+      return res.status(404).json({ error: req.t("flash.draftNotFound") });
+    }
+  }
+  const draft = db.saveDraft({
+    user_id: req.currentUser.id,
+    post_id: draftId,
+    ...buildDraftRecord(collectPostFields(req.body, { userId: req.currentUser.id }))
   });
-  setFlash(req, "success", "Publication posted.");
-  return res.redirect(`/posts/${post.id}`);
+  if (!draft) {
+    return res.status(404).json({ error: req.t("flash.draftNotFound") });
+  }
+  return res.json({ id: draft.id, saved_at: draft.updated_at });
 });
 
+app.post(
+  "/posts",
+  requireAuth,
+  requireVerified,
+  writeLimiter,
+  acceptUploads("media_files", "post", db.MAX_MEDIA_ITEMS),
+  (req, res) => {
+    const draft = req.body.draft_id ? getOwnPost(req, req.body.draft_id) : null;
+    if (req.body.draft_id && (!draft || db.isPostLive(draft))) {
+      discardUploads(req);
+      setFlash(req, "error", req.t("flash.draftNotFound"));
+      return res.redirect("/posts/new");
+    }
+    return submitUnpublishedPost(req, res, draft);
+  }
+);
+
+app.get("/posts/:id/edit", requireAuth, requireVerified, (req, res) => {
+  const post = getOwnPost(req);
+  if (!post) {
+    return res.status(404).render("not-found", { pageTitle: req.t("notFound.title") });
+  }
+  return renderPostEditor(req, res, { post });
+});
+
+app.post(
+  "/posts/:id/edit",
+  requireAuth,
+  requireVerified,
+  writeLimiter,
+  acceptUploads("media_files", "post", db.MAX_MEDIA_ITEMS),
+  (req, res) => {
+    const post = getOwnPost(req);
+    if (!post) {
+      discardUploads(req);
+      return res.status(404).render("not-found", { pageTitle: req.t("notFound.title") });
+    }
+    if (!db.isPostLive(post)) {
+      return submitUnpublishedPost(req, res, post);
+    }
+
+    const { error, values } = readPostForm(req.body, { userId: req.currentUser.id, uploads: req.uploads, t: req.t });
+    if (error) {
+      return renderPostEditor(req, res, { post, values, error });
+    }
+
+    const updated = db.updatePost(post.id, {
+      editor_user_id: req.currentUser.id,
+      ...buildPostRecord(values)
+    });
+    setFlash(req, "success", req.t("flash.postUpdated"));
+    return res.redirect(db.postPath(updated || post));
+  }
+);
+
+app.post("/posts/:id/delete", requireAuth, requireVerified, writeLimiter, (req, res) => {
+  const post = getOwnPost(req);
+  if (!post) {
+    return res.status(404).render("not-found", { pageTitle: req.t("notFound.title") });
+  }
+  // A hidden post is moderation evidence; only a moderator restoring it gives the delete back to its author.
+  if (post.is_hidden) {
+    setFlash(req, "error", req.t("flash.hiddenPostDelete"));
+    return redirectBack(req, res, "/account");
+  }
+  db.deletePost(post.id);
+  setFlash(req, "success", req.t("flash.postDeleted"));
+  return res.redirect("/account");
+});
+
+// Posts are addressed as /posts/:id-:slug. The id alone finds the post; a missing or outdated slug gets a
+// permanent redirect to the current one, so links keep working after a title is edited.
 app.get("/posts/:id", (req, res) => {
-  const postId = Number(req.params.id);
+  const match = /^(\d+)(?:-(.*))?$/.exec(req.params.id);
+  const postId = match ? Number(match[1]) : 0;
   if (!Number.isInteger(postId) || postId <= 0) {
-    return res.status(404).render("not-found", { pageTitle: "Not found" });
+    return res.status(404).render("not-found", { pageTitle: req.t("notFound.title") });
   }
 
   const post = db.getPostById({
@@ -633,20 +1247,58 @@ app.get("/posts/:id", (req, res) => {
     viewerId: req.currentUser ? req.currentUser.id : null
   });
   if (!post) {
-    return res.status(404).render("not-found", { pageTitle: "Not found" });
+    return res.status(404).render("not-found", { pageTitle: req.t("notFound.title") });
+  }
+  if ((match[2] || "") !== post.slug) {
+    const queryIndex = req.originalUrl.indexOf("?");
+    return res.redirect(301, post.path + (queryIndex === -1 ? "" : req.originalUrl.slice(queryIndex)));
   }
 
-  const comments = buildCommentRows(db.getPostComments(postId, req.currentUser ? req.currentUser.id : null));
+  const comments = buildCommentRows(
+    db.getPostComments(postId, req.currentUser ? req.currentUser.id : null),
+    req.locale
+  );
   const auditTrail = db.canUserModerate(req.currentUser)
     ? db.getModerationActionsForTarget("post", postId, 15)
     : [];
+  const revisions = db.canUserModerate(req.currentUser) ? db.getPostRevisions(postId, 15) : [];
+
+  const authorUrl = `${APP_BASE_URL}/u/${encodeURIComponent(post.author_username)}`;
+  const images = post.media_items
+    .map((item) => absoluteUrl(item.type === "image" ? item.url : item.thumb_url))
+    .filter(Boolean);
+  setPageMeta(res, {
+    title: post.title || req.t("post.untitledDraft"),
+    description: post.excerpt,
+    path: post.path,
+    type: "article",
+    image: postPreviewImage(post),
+    imageAlt: post.media_items[0] ? post.media_items[0].alt || post.media_items[0].caption : "",
+    noindex: post.is_hidden || !db.isPostLive(post),
+    jsonLd: {
+      "@context": "https://schema.org",
+      "@type": "Article",
+      headline: post.title.slice(0, 110),
+      description: post.excerpt,
+      ...(images.length ? { image: images } : {}),
+      datePublished: post.published_at || post.publish_at || post.created_at,
+      dateModified: post.updated_at || post.published_at || post.created_at,
+      author: { "@type": "Person", name: post.author_username, url: authorUrl },
+      publisher: { "@type": "Organization", name: SITE_NAME, url: APP_BASE_URL },
+      mainEntityOfPage: `${APP_BASE_URL}${post.path}`,
+      articleSection: post.category_name,
+      keywords: post.tags.map((tag) => tag.name).join(", ")
+    }
+  });
 
   return res.render("post", {
-    pageTitle: post.title,
-    post: mapPostForView(post),
+    pageTitle: post.title || req.t("post.untitledDraft"),
+    post: mapPostForView(post, req.locale),
+    postIsLive: db.isPostLive(post),
     comments,
     reactions: db.REACTIONS,
-    auditTrail
+    auditTrail,
+    revisions
   });
 });
 
@@ -654,8 +1306,8 @@ app.post("/posts/:id/like", requireAuth, requireVerified, toggleLimiter, (req, r
   const postId = Number(req.params.id);
   if (!Number.isInteger(postId) || postId <= 0) return res.redirect("/");
   const post = db.getPostByIdForModeration(postId);
-  if (!post) {
-    setFlash(req, "error", "Post was not found.");
+  if (!post || !db.isPostLive(post)) {
+    setFlash(req, "error", req.t("flash.postNotFound"));
     return res.redirect("/");
   }
   db.toggleLike({ userId: req.currentUser.id, postId });
@@ -666,8 +1318,8 @@ app.post("/posts/:id/bookmark", requireAuth, requireVerified, toggleLimiter, (re
   const postId = Number(req.params.id);
   if (!Number.isInteger(postId) || postId <= 0) return res.redirect("/");
   const post = db.getPostByIdForModeration(postId);
-  if (!post) {
-    setFlash(req, "error", "Post was not found.");
+  if (!post || !db.isPostLive(post)) {
+    setFlash(req, "error", req.t("flash.postNotFound"));
     return res.redirect("/");
   }
   db.toggleBookmark({ userId: req.currentUser.id, postId });
@@ -679,22 +1331,22 @@ app.post("/posts/:id/comments", requireAuth, requireVerified, writeLimiter, (req
   const body = (req.body.body || "").trim();
   if (!Number.isInteger(postId) || postId <= 0) return res.redirect("/");
   if (body.length < 2 || body.length > 1500) {
-    setFlash(req, "error", "Comment must be 2 to 1500 characters.");
+    setFlash(req, "error", req.t("flash.commentLength"));
     return res.redirect(`/posts/${postId}`);
   }
   const blocked = parseBlockedWord(body);
   if (blocked) {
-    setFlash(req, "error", `Blocked content detected: "${blocked}".`);
+    setFlash(req, "error", req.t("flash.blockedWord", { word: blocked }));
     return res.redirect(`/posts/${postId}`);
   }
   const post = db.getPostByIdForModeration(postId);
-  if (!post) {
-    setFlash(req, "error", "Post was not found.");
+  if (!post || !db.isPostLive(post)) {
+    setFlash(req, "error", req.t("flash.postNotFound"));
     return res.redirect("/");
   }
   db.addComment({ user_id: req.currentUser.id, post_id: postId, body, parent_comment_id: null });
-  setFlash(req, "success", "Comment added.");
-  return res.redirect(`/posts/${postId}#comments`);
+  setFlash(req, "success", req.t("flash.commentAdded"));
+  return res.redirect(`${db.postPath(post)}#comments`);
 });
 
 app.post("/posts/:id/comments/:commentId/reply", requireAuth, requireVerified, writeLimiter, (req, res) => {
@@ -705,17 +1357,22 @@ app.post("/posts/:id/comments/:commentId/reply", requireAuth, requireVerified, w
   if (!Number.isInteger(postId) || postId <= 0) return res.redirect("/");
   if (!Number.isInteger(commentId) || commentId <= 0) return res.redirect(`/posts/${postId}`);
   if (body.length < 2 || body.length > 1500) {
-    setFlash(req, "error", "Reply must be 2 to 1500 characters.");
+    setFlash(req, "error", req.t("flash.replyLength"));
     return res.redirect(`/posts/${postId}`);
   }
   const blocked = parseBlockedWord(body);
   if (blocked) {
-    setFlash(req, "error", `Blocked content detected: "${blocked}".`);
+    setFlash(req, "error", req.t("flash.blockedWord", { word: blocked }));
     return res.redirect(`/posts/${postId}`);
   }
+  const post = db.getPostByIdForModeration(postId);
+  if (!post || !db.isPostLive(post)) {
+    setFlash(req, "error", req.t("flash.postNotFound"));
+    return res.redirect("/");
+  }
   const parent = db.getCommentRawById(commentId);
   if (!parent || parent.post_id !== postId) {
-    setFlash(req, "error", "Parent comment was not found.");
+    setFlash(req, "error", req.t("flash.parentCommentNotFound"));
     return res.redirect(`/posts/${postId}`);
   }
   db.addComment({
@@ -724,7 +1381,7 @@ app.post("/posts/:id/comments/:commentId/reply", requireAuth, requireVerified, w
     body,
     parent_comment_id: commentId
   });
-  setFlash(req, "success", "Reply added.");
+  setFlash(req, "success", req.t("flash.replyAdded"));
   return res.redirect(`/posts/${postId}#comments`);
 });
 
@@ -740,13 +1397,18 @@ app.post(
 
     if (!Number.isInteger(postId) || postId <= 0) return res.redirect("/");
     if (!Number.isInteger(commentId) || commentId <= 0) return res.redirect(`/posts/${postId}`);
+    const post = db.getPostByIdForModeration(postId);
+    if (!post || !db.isPostLive(post)) {
+      setFlash(req, "error", req.t("flash.postNotFound"));
+      return res.redirect("/");
+    }
     const comment = db.getCommentRawById(commentId);
     if (!comment || comment.post_id !== postId) {
-      setFlash(req, "error", "Comment not found.");
+      setFlash(req, "error", req.t("flash.commentNotFound"));
       return res.redirect(`/posts/${postId}`);
     }
     if (!db.REACTIONS.includes(reactionType)) {
-      setFlash(req, "error", "Unsupported reaction.");
+      setFlash(req, "error", req.t("flash.unsupportedReaction"));
       return res.redirect(`/posts/${postId}`);
     }
 
@@ -766,16 +1428,20 @@ app.post("/reports", requireAuth, requireVerified, writeLimiter, (req, res) => {
   const reasonText = (req.body.reason_text || "").trim();
 
   if (!["post", "comment", "user"].includes(targetType) || !Number.isInteger(targetId) || targetId <= 0) {
-    setFlash(req, "error", "Invalid report target.");
+    setFlash(req, "error", req.t("flash.invalidReportTarget"));
+    return redirectBack(req, res, "/");
+  }
+  if (!db.REPORT_REASONS.includes(reasonCode)) {
+    setFlash(req, "error", req.t("flash.invalidReportReason"));
     return redirectBack(req, res, "/");
   }
   if (reasonText.length > 500) {
-    setFlash(req, "error", "Report note is too long.");
+    setFlash(req, "error", req.t("flash.reportNoteTooLong"));
     return redirectBack(req, res, "/");
   }
   const blocked = parseBlockedWord(reasonText);
   if (blocked) {
-    setFlash(req, "error", `Blocked content detected: "${blocked}".`);
+    setFlash(req, "error", req.t("flash.blockedWord", { word: blocked }));
     return redirectBack(req, res, "/");
   }
 
@@ -788,7 +1454,7 @@ app.post("/reports", requireAuth, requireVerified, writeLimiter, (req, res) => {
     targetExists = Boolean(db.getUserById(targetId));
   }
   if (!targetExists) {
-    setFlash(req, "error", "The content you are reporting was not found.");
+    setFlash(req, "error", req.t("flash.reportTargetNotFound"));
     return redirectBack(req, res, "/");
   }
 
@@ -799,29 +1465,32 @@ app.post("/reports", requireAuth, requireVerified, writeLimiter, (req, res) => {
     reason_code: reasonCode,
     reason_text: reasonText
   });
-  setFlash(req, "success", "Report submitted.");
+  setFlash(req, "success", req.t("flash.reportSubmitted"));
   return redirectBack(req, res, "/");
 });
 
 app.get("/bookmarks", requireAuth, requireVerified, (req, res) => {
-  const page = parsePage(req.query.page);
-  const bookmarks = db.getUserBookmarks(req.currentUser.id, { page, pageSize: PAGE_SIZE });
-  return res.render("bookmarks", {
-    pageTitle: "Bookmarks",
-    posts: bookmarks.items.map(mapPostForView),
-    pagination: {
-      page: bookmarks.page,
-      pages: bookmarks.pages,
-      total: bookmarks.total
-    }
+  const bookmarks = db.getUserBookmarks(req.currentUser.id, {
+    cursor: parseCursor(req.query.cursor),
+    pageSize: PAGE_SIZE
+  });
+  return renderPostList(req, res, "bookmarks", "bookmark-card", {
+    pageTitle: req.t("bookmarks.title"),
+    posts: bookmarks.items.map((post) => mapPostForView(post, req.locale)),
+    pagination: cursorPager("/bookmarks", {}, bookmarks)
   });
 });
 
 app.get("/account", requireAuth, (req, res) => {
   const tab = String(req.query.tab || "posts");
-  const posts = db.getUserPosts(req.currentUser.id, req.currentUser.id).map(mapPostForView);
-  const bookmarkPage = parsePage(req.query.bookmark_page);
-  const bookmarks = db.getUserBookmarks(req.currentUser.id, { page: bookmarkPage, pageSize: PAGE_SIZE });
+  const posts = db
+    .getUserPosts(req.currentUser.id, req.currentUser.id)
+    .map((post) => mapPostForView(post, req.locale));
+  const drafts = db.getUserDrafts(req.currentUser.id);
+  const bookmarks = db.getUserBookmarks(req.currentUser.id, {
+    cursor: parseCursor(req.query.bookmark_cursor),
+    pageSize: PAGE_SIZE
+  });
   const moderationStatus = String(req.query.status || "open");
   const moderationPage = parsePage(req.query.mod_page);
   const moderation = db.canUserModerate(req.currentUser)
@@ -829,32 +1498,105 @@ app.get("/account", requireAuth, (req, res) => {
     : null;
 
   return res.render("account", {
-    pageTitle: "My account",
+    pageTitle: req.t("account.title"),
     profileUser: req.currentUser,
     isOwner: true,
     tab,
     posts,
+    drafts,
     bookmarks,
+    bookmarksPager: cursorPager("/account", { tab: "bookmarks" }, bookmarks, "bookmark_cursor"),
     moderationStatus,
-    moderation
+    moderation,
+    notificationPrefs: db.getNotificationPrefs(req.currentUser.id),
+    blockedUsers: db.getBlockedUsers(req.currentUser.id),
+    apiTokens: db.getUserApiTokens(req.currentUser.id)
   });
 });
 
-app.post("/account", requireAuth, (req, res) => {
+app.post("/account/tokens", requireAuth, requireVerified, writeLimiter, (req, res) => {
+  const name = (req.body.name || "").trim();
+  if (name.length < 2 || name.length > 60) {
+    setFlash(req, "error", req.t("flash.tokenNameLength"));
+    return res.redirect("/account?tab=settings#api-tokens");
+  }
+  const requested = [].concat(req.body.scopes || []).map(String);
+  const scopes = db.TOKEN_SCOPES.filter((scope) => requested.includes(scope));
+  if (scopes.length === 0) {
+    setFlash(req, "error", req.t("flash.tokenScopeRequired"));
+    return res.redirect("/account?tab=settings#api-tokens");
+  }
+  if (scopes.includes("moderate") && !db.canUserModerate(req.currentUser)) {
+    setFlash(req, "error", req.t("flash.tokenModerateScope"));
+    return res.redirect("/account?tab=settings#api-tokens");
+  }
+  const token = `pat_${crypto.randomBytes(32).toString("hex")}`;
+  db.createApiToken({ userId: req.currentUser.id, name, tokenHash: hashToken(token), scopes });
+  setFlash(req, "success", req.t("flash.tokenCreated", { token }));
+  return res.redirect("/account?tab=settings#api-tokens");
+});
+
+app.post("/account/tokens/:id/delete", requireAuth, writeLimiter, (req, res) => {
+  const revoked = db.revokeApiToken({ tokenId: req.params.id, userId: req.currentUser.id });
+  setFlash(req, revoked ? "success" : "error", req.t(revoked ? "flash.tokenRevoked" : "flash.tokenNotFound"));
+  return res.redirect("/account?tab=settings#api-tokens");
+});
+
+app.post("/account/notifications", requireAuth, writeLimiter, (req, res) => {
+  const raw = req.body.prefs && typeof req.body.prefs === "object" ? req.body.prefs : {};
+  const prefs = {};
+  for (const type of db.NOTIFICATION_TYPES) {
+    const delivery = String(raw[type] || "");
+    if (!db.NOTIFICATION_DELIVERY.includes(delivery)) {
+      setFlash(req, "error", req.t("flash.notificationDeliveryRequired"));
+      return res.redirect("/account?tab=settings#notification-settings");
+    }
+    prefs[type] = delivery;
+  }
+  db.updateNotificationPrefs(req.currentUser.id, prefs);
+  setFlash(req, "success", req.t("flash.notificationSettingsSaved"));
+  return res.redirect("/account?tab=settings#notification-settings");
+});
+
+app.post("/account/locale", requireAuth, writeLimiter, (req, res) => {
+  const locale = String(req.body.locale || "");
+  if (locale && !i18n.isLocale(locale)) {
+    setFlash(req, "error", req.t("flash.localeInvalid"));
+    return res.redirect("/account?tab=settings#language-settings");
+  }
+  db.updateUserLocale(req.currentUser.id, locale);
+  const nextLocale = locale || i18n.detectLocale(req.get("accept-language"));
+  setFlash(req, "success", i18n.translate(nextLocale, "flash.localeSaved"));
+  return res.redirect("/account?tab=settings#language-settings");
+});
+
+app.post("/account", requireAuth, acceptUploads("avatar_file", "avatar"), (req, res) => {
   const bio = (req.body.bio || "").trim();
-  const avatarUrl = (req.body.avatar_url || "").trim();
+  const avatarUpload = req.uploads[0] || null;
+  const avatarUrl = avatarUpload ? avatarUpload.url : (req.body.avatar_url || "").trim();
 
   if (bio.length > 280) {
-    setFlash(req, "error", "Bio must be at most 280 characters.");
+    discardUploads(req);
+    setFlash(req, "error", req.t("flash.bioLength"));
     return res.redirect("/account");
   }
   if (avatarUrl.length > 500) {
-    setFlash(req, "error", "Avatar URL is too long.");
+    discardUploads(req);
+    setFlash(req, "error", req.t("flash.avatarUrlTooLong"));
+    return res.redirect("/account");
+  }
+  if (avatarUrl && !isAllowedMediaUrl(avatarUrl)) {
+    discardUploads(req);
+    setFlash(req, "error", req.t("flash.avatarUrlInvalid"));
     return res.redirect("/account");
   }
 
-  db.updateUserProfile(req.currentUser.id, { bio, avatar_url: avatarUrl });
-  setFlash(req, "success", "Account updated.");
+  db.updateUserProfile(req.currentUser.id, {
+    bio,
+    avatar_url: avatarUrl,
+    avatar_thumb_url: avatarUpload ? avatarUpload.thumb_url : undefined
+  });
+  setFlash(req, "success", req.t("flash.accountUpdated"));
   return res.redirect("/account");
 });
 
@@ -863,27 +1605,99 @@ app.get("/u/:username", (req, res) => {
   const profileUserRaw = db.getUserByUsername(username);
   const profileUser = db.toPublicUser(profileUserRaw);
   if (!profileUser) {
-    return res.status(404).render("not-found", { pageTitle: "Not found" });
+    return res.status(404).render("not-found", { pageTitle: req.t("notFound.title") });
   }
 
   const viewerId = req.currentUser ? req.currentUser.id : null;
-  const posts = db.getUserPosts(profileUser.id, viewerId).map(mapPostForView);
+  const userPosts = db.getUserPostsPage(profileUser.id, viewerId, {
+    cursor: parseCursor(req.query.cursor),
+    pageSize: PAGE_SIZE
+  });
   const isOwner = req.currentUser && req.currentUser.id === profileUser.id;
+  const profilePath = `/u/${encodeURIComponent(profileUser.username)}`;
+  const followCounts = db.getFollowCounts(profileUser.id);
+  res.locals.feedLinks = feedLinksFor(`@${profileUser.username}`, `${profilePath}/feed`);
+  setPageMeta(res, {
+    title: `@${profileUser.username}`,
+    description: profileUser.bio || `Publications by @${profileUser.username} on ${SITE_NAME}.`,
+    path: profilePath,
+    type: "profile",
+    image: profileUser.avatar_url,
+    noindex: profileUser.status !== "active",
+    jsonLd: {
+      "@context": "https://schema.org",
+      "@type": "ProfilePage",
+      dateCreated: profileUser.created_at,
+      mainEntity: {
+        "@type": "Person",
+        name: profileUser.username,
+        alternateName: `@${profileUser.username}`,
+        url: `${APP_BASE_URL}${profilePath}`,
+        ...(profileUser.bio ? { description: profileUser.bio } : {}),
+        ...(profileUser.avatar_url ? { image: absoluteUrl(profileUser.avatar_url) } : {}),
+        interactionStatistic: {
+          "@type": "InteractionCounter",
+          interactionType: "https://schema.org/FollowAction",
+          userInteractionCount: followCounts.followers
+        }
+      }
+    }
+  });
 
-  return res.render("account-public", {
-    pageTitle: `${profileUser.username} profile`,
+  return renderPostList(req, res, "account-public", "profile-post-card", {
+    pageTitle: req.t("profile.title", { username: profileUser.username }),
     profileUser,
-    posts,
-    isOwner
+    posts: userPosts.items.map((post) => mapPostForView(post, req.locale)),
+    postTotals: { posts: userPosts.total, likes: userPosts.like_total },
+    pagination: cursorPager(profilePath, {}, userPosts),
+    isOwner,
+    followCounts,
+    isFollowing: Boolean(viewerId && db.isFollowing(viewerId, profileUser.id)),
+    isBlocked: Boolean(viewerId && db.hasBlocked(viewerId, profileUser.id))
   });
 });
 
+app.post("/u/:username/follow", requireAuth, requireVerified, toggleLimiter, (req, res) => {
+  const profileUser = db.getUserByUsername(req.params.username);
+  if (!profileUser) {
+    setFlash(req, "error", req.t("flash.userNotFound"));
+    return res.redirect("/");
+  }
+  if (profileUser.id === req.currentUser.id) {
+    setFlash(req, "error", req.t("flash.cannotFollowSelf"));
+    return redirectBack(req, res, `/u/${profileUser.username}`);
+  }
+  db.toggleFollow({ followerId: req.currentUser.id, followedId: profileUser.id });
+  return redirectBack(req, res, `/u/${profileUser.username}`);
+});
+
+app.post("/u/:username/block", requireAuth, toggleLimiter, (req, res) => {
+  const profileUser = db.getUserByUsername(req.params.username);
+  if (!profileUser) {
+    setFlash(req, "error", req.t("flash.userNotFound"));
+    return res.redirect("/");
+  }
+  if (profileUser.id === req.currentUser.id) {
+    setFlash(req, "error", req.t("flash.cannotBlockSelf"));
+    return redirectBack(req, res, `/u/${profileUser.username}`);
+  }
+  const blocked = db.toggleBlock({ blockerId: req.currentUser.id, blockedId: profileUser.id });
+  const messageKey = blocked ? "flash.userBlocked" : "flash.userUnblocked";
+  setFlash(req, "success", req.t(messageKey, { username: profileUser.username }));
+  return redirectBack(req, res, `/u/${profileUser.username}`);
+});
+
+app.get("/users/lookup", requireAuth, (req, res) => {
+  const query = String(req.query.q || "").trim().replace(/^@/, "").slice(0, 24);
+  return res.json({ users: db.searchUsernames(query, { viewerId: req.currentUser.id }) });
+});
+
 app.get("/moderation/queue", requireAuth, requireModerator, (req, res) => {
   const status = String(req.query.status || "open");
   const page = parsePage(req.query.page);
   const reports = db.getReports({ status, page, pageSize: 25 });
   return res.render("moderation-queue", {
-    pageTitle: "Moderation queue",
+    pageTitle: req.t("moderation.title"),
     status,
     reports
   });
@@ -893,7 +1707,7 @@ app.post("/moderation/reports/:id/assign", requireAuth, requireModerator, writeL
   const reportId = Number(req.params.id);
   const report = db.assignReport(reportId, req.currentUser.id);
   if (!report) {
-    setFlash(req, "error", "Report not found.");
+    setFlash(req, "error", req.t("flash.reportNotFound"));
     return res.redirect("/moderation/queue");
   }
   db.addModerationAction({
@@ -903,7 +1717,7 @@ app.post("/moderation/reports/:id/assign", requireAuth, requireModerator, writeL
     target_id: report.id,
     notes: "Assigned to moderator"
   });
-  setFlash(req, "success", "Report assigned.");
+  setFlash(req, "success", req.t("flash.reportAssigned"));
   return res.redirect(req.get("referer") || "/moderation/queue");
 });
 
@@ -913,7 +1727,7 @@ app.post("/moderation/reports/:id/resolve", requireAuth, requireModerator, write
   const notes = (req.body.notes || "").trim();
   const report = db.resolveReport(reportId, status);
   if (!report) {
-    setFlash(req, "error", "Report not found or invalid status.");
+    setFlash(req, "error", req.t("flash.reportInvalidStatus"));
     return res.redirect("/moderation/queue");
   }
   db.addModerationAction({
@@ -923,7 +1737,7 @@ app.post("/moderation/reports/:id/resolve", requireAuth, requireModerator, write
     target_id: report.id,
     notes
   });
-  setFlash(req, "success", "Report updated.");
+  setFlash(req, "success", req.t("flash.reportUpdated"));
   return res.redirect(req.get("referer") || "/moderation/queue");
 });
 
@@ -932,7 +1746,7 @@ app.post("/moderation/posts/:id/hide", requireAuth, requireModerator, writeLimit
   const reason = (req.body.reason || "").trim();
   const post = db.hidePost(postId, reason);
   if (!post) {
-    setFlash(req, "error", "Post not found.");
+    setFlash(req, "error", req.t("flash.postNotFound"));
     return res.redirect("/moderation/queue");
   }
   db.addModerationAction({
@@ -942,7 +1756,7 @@ app.post("/moderation/posts/:id/hide", requireAuth, requireModerator, writeLimit
     target_id: postId,
     notes: reason
   });
-  setFlash(req, "success", "Post hidden.");
+  setFlash(req, "success", req.t("flash.postHidden"));
   return res.redirect(req.get("referer") || `/posts/${postId}`);
 });
 
@@ -950,7 +1764,7 @@ app.post("/moderation/posts/:id/unhide", requireAuth, requireModerator, writeLim
   const postId = Number(req.params.id);
   const post = db.unhidePost(postId);
   if (!post) {
-    setFlash(req, "error", "Post not found.");
+    setFlash(req, "error", req.t("flash.postNotFound"));
     return res.redirect("/moderation/queue");
   }
   db.addModerationAction({
@@ -960,7 +1774,7 @@ app.post("/moderation/posts/:id/unhide", requireAuth, requireModerator, writeLim
     target_id: postId,
     notes: ""
   });
-  setFlash(req, "success", "Post restored.");
+  setFlash(req, "success", req.t("flash.postRestored"));
   return res.redirect(req.get("referer") || `/posts/${postId}`);
 });
 
@@ -969,7 +1783,7 @@ app.post("/moderation/comments/:id/hide", requireAuth, requireModerator, writeLi
   const reason = (req.body.reason || "").trim();
   const comment = db.hideComment(commentId, reason);
   if (!comment) {
-    setFlash(req, "error", "Comment not found.");
+    setFlash(req, "error", req.t("flash.commentNotFound"));
     return res.redirect("/moderation/queue");
   }
   db.addModerationAction({
@@ -979,7 +1793,7 @@ app.post("/moderation/comments/:id/hide", requireAuth, requireModerator, writeLi
     target_id: commentId,
     notes: reason
   });
-  setFlash(req, "success", "Comment hidden.");
+  setFlash(req, "success", req.t("flash.commentHidden"));
   return res.redirect(req.get("referer") || `/posts/${comment.post_id}`);
 });
 
@@ -987,7 +1801,7 @@ app.post("/moderation/comments/:id/unhide", requireAuth, requireModerator, write
   const commentId = Number(req.params.id);
   const comment = db.unhideComment(commentId);
   if (!comment) {
-    setFlash(req, "error", "Comment not found.");
+    setFlash(req, "error", req.t("flash.commentNotFound"));
     return res.redirect("/moderation/queue");
   }
   db.addModerationAction({
@@ -997,7 +1811,7 @@ app.post("/moderation/comments/:id/unhide", requireAuth, requireModerator, write
     target_id: commentId,
     notes: ""
   });
-  setFlash(req, "success", "Comment restored.");
+  setFlash(req, "success", req.t("flash.commentRestored"));
   return res.redirect(req.get("referer") || `/posts/${comment.post_id}`);
 });
 
@@ -1005,11 +1819,11 @@ app.post("/moderation/users/:id/suspend", requireAuth, requireModerator, writeLi
   const userId = Number(req.params.id);
   const target = db.getUserById(userId);
   if (!target) {
-    setFlash(req, "error", "User not found.");
+    setFlash(req, "error", req.t("flash.userNotFound"));
     return res.redirect("/moderation/queue");
   }
   if (target.role === "admin" && !db.canUserAdmin(req.currentUser)) {
-    setFlash(req, "error", "Only admins can change admin status.");
+    setFlash(req, "error", req.t("flash.adminOnly"));
     return res.redirect("/moderation/queue");
   }
   db.updateUserStatus(userId, "suspended");
@@ -1020,7 +1834,7 @@ app.post("/moderation/users/:id/suspend", requireAuth, requireModerator, writeLi
     target_id: userId,
     notes: ""
   });
-  setFlash(req, "success", "User suspended.");
+  setFlash(req, "success", req.t("flash.userSuspended"));
   return res.redirect(req.get("referer") || "/moderation/queue");
 });
 
@@ -1028,11 +1842,11 @@ app.post("/moderation/users/:id/ban", requireAuth, requireModerator, writeLimite
   const userId = Number(req.params.id);
   const target = db.getUserById(userId);
   if (!target) {
-    setFlash(req, "error", "User not found.");
+    setFlash(req, "error", req.t("flash.userNotFound"));
     return res.redirect("/moderation/queue");
   }
   if (target.role === "admin" && !db.canUserAdmin(req.currentUser)) {
-    setFlash(req, "error", "Only admins can change admin status.");
+    setFlash(req, "error", req.t("flash.adminOnly"));
     return res.redirect("/moderation/queue");
   }
   db.updateUserStatus(userId, "banned");
@@ -1043,39 +1857,190 @@ app.post("/moderation/users/:id/ban", requireAuth, requireModerator, writeLimite
     target_id: userId,
     notes: ""
   });
-  setFlash(req, "success", "User banned.");
+  setFlash(req, "success", req.t("flash.userBanned"));
   return res.redirect(req.get("referer") || "/moderation/queue");
 });
 
 app.get("/admin/users", requireAuth, requireAdmin, (req, res) => {
   const users = db.getAdminUserList();
   return res.render("admin-users", {
-    pageTitle: "User management",
+    pageTitle: req.t("adminUsers.title"),
     users
   });
 });
 
 app.get("/notifications", requireAuth, (req, res) => {
+  const notifications = db.getUserNotifications(req.currentUser.id, {
+    page: parsePage(req.query.page),
+    pageSize: 30
+  });
   return res.render("notifications", {
-    pageTitle: "Notifications",
-    items: db.getUserNotifications(req.currentUser.id, 120)
+    pageTitle: req.t("notifications.title"),
+    items: notifications.items,
+    pagination: {
+      page: notifications.page,
+      pages: notifications.pages,
+      total: notifications.total
+    }
+  });
+});
+
+function renderUnsubscribe(req, res, step, type = "") {
+  const title = step === "done" ? "unsubscribe.doneTitle" : "unsubscribe.title";
+  return res
+    .status(step === "expired" ? 400 : 200)
+    .render("unsubscribe", { pageTitle: req.t(title), step, type, token: String(req.query.token || "") });
+}
+
+// Opening the link only asks for confirmation: mail scanners prefetch links, so the change itself needs a POST.
+app.get("/notifications/unsubscribe", (req, res) => {
+  const target = notificationMailer.verifyUnsubscribeToken(req.query.token);
+  if (!target || !db.getUserById(target.userId)) {
+    return renderUnsubscribe(req, res, "expired");
+  }
+  return renderUnsubscribe(req, res, "confirm", target.type);
+});
+
+// Posted by the confirmation page, or by mail clients from the List-Unsubscribe header (RFC 8058 one-click).
+app.post("/notifications/unsubscribe", (req, res) => {
+  const target = notificationMailer.verifyUnsubscribeToken(req.query.token);
+  const prefs = target ? db.unsubscribeNotificationEmails(target.userId, target.type) : null;
+  if (req.body["List-Unsubscribe"] === "One-Click") {
+    return res.status(prefs ? 200 : 400).type("text/plain").send(prefs ? "Unsubscribed." : "Invalid link.");
+  }
+  return prefs ? renderUnsubscribe(req, res, "done", target.type) : renderUnsubscribe(req, res, "expired");
+});
+
+app.post("/notifications/read-all", requireAuth, toggleLimiter, (req, res) => {
+  db.markAllNotificationsRead(req.currentUser.id);
+  return redirectBack(req, res, "/notifications");
+});
+
+app.post("/notifications/:id/read", requireAuth, toggleLimiter, (req, res) => {
+  const notification = db.markNotificationRead(req.currentUser.id, Number(req.params.id));
+  if (!notification) {
+    setFlash(req, "error", req.t("flash.notificationNotFound"));
+  }
+  return redirectBack(req, res, "/notifications");
+});
+
+app.post("/admin/tokens/:id/revoke", requireAuth, requireAdmin, writeLimiter, (req, res) => {
+  const token = db.revokeApiToken({ tokenId: req.params.id });
+  if (!token) {
+    setFlash(req, "error", req.t("flash.tokenNotFound"));
+    return res.redirect("/admin/users");
+  }
+  db.addModerationAction({
+    actor_user_id: req.currentUser.id,
+    action_type: "token.revoke",
+    target_type: "user",
+    target_id: token.user_id,
+    notes: `Revoked API token "${token.name}"`
+  });
+  setFlash(req, "success", req.t("flash.tokenRevoked"));
+  return res.redirect("/admin/users");
+});
+
+app.get("/admin/webhooks", requireAuth, requireAdmin, (req, res) => {
+  return res.render("admin-webhooks", {
+    pageTitle: req.t("webhooks.title"),
+    webhooks: db.getWebhooks(),
+    webhookEvents: db.WEBHOOK_EVENTS
+  });
+});
+
+app.post("/admin/webhooks", requireAuth, requireAdmin, writeLimiter, (req, res) => {
+  const url = (req.body.url || "").trim();
+  const description = (req.body.description || "").trim();
+  const requested = [].concat(req.body.events || []).map(String);
+  const events = db.WEBHOOK_EVENTS.filter((event) => requested.includes(event));
+  if (url.length > 500 || url.startsWith("/") || !isAllowedMediaUrl(url)) {
+    setFlash(req, "error", req.t("flash.webhookUrlInvalid"));
+    return res.redirect("/admin/webhooks");
+  }
+  if (events.length === 0) {
+    setFlash(req, "error", req.t("flash.webhookEventRequired"));
+    return res.redirect("/admin/webhooks");
+  }
+  if (description.length > 200) {
+    setFlash(req, "error", req.t("flash.webhookDescriptionLength"));
+    return res.redirect("/admin/webhooks");
+  }
+  db.createWebhook({
+    url,
+    description,
+    events,
+    secret: `whsec_${crypto.randomBytes(24).toString("hex")}`,
+    created_by_user_id: req.currentUser.id
+  });
+  setFlash(req, "success", req.t("flash.webhookAdded"));
+  return res.redirect("/admin/webhooks");
+});
+
+app.post("/admin/webhooks/:id/toggle", requireAuth, requireAdmin, writeLimiter, (req, res) => {
+  const webhook = db.getWebhookById(req.params.id);
+  if (!webhook) {
+    setFlash(req, "error", req.t("flash.webhookNotFound"));
+    return res.redirect("/admin/webhooks");
+  }
+  db.setWebhookActive(webhook.id, !webhook.active);
+  setFlash(req, "success", req.t(webhook.active ? "flash.webhookResumed" : "flash.webhookPaused"));
+  return res.redirect("/admin/webhooks");
+});
+
+app.post("/admin/webhooks/:id/ping", requireAuth, requireAdmin, writeLimiter, (req, res) => {
+  const delivery = db.queueWebhookPing(req.params.id, req.currentUser.id);
+  setFlash(req, delivery ? "success" : "error", req.t(delivery ? "flash.webhookPingQueued" : "flash.webhookNotFound"));
+  return res.redirect(delivery ? `/admin/webhooks/deliveries?webhook=${delivery.webhook_id}` : "/admin/webhooks");
+});
+
+app.post("/admin/webhooks/:id/delete", requireAuth, requireAdmin, writeLimiter, (req, res) => {
+  const webhook = db.deleteWebhook(req.params.id);
+  setFlash(req, webhook ? "success" : "error", req.t(webhook ? "flash.webhookDeleted" : "flash.webhookNotFound"));
+  return res.redirect("/admin/webhooks");
+});
+
+app.get("/admin/webhooks/deliveries", requireAuth, requireAdmin, (req, res) => {
+  const webhook = req.query.webhook ? db.getWebhookById(req.query.webhook) : null;
+  const status = ["pending", "delivered", "failed"].includes(req.query.status) ? req.query.status : "all";
+  const deliveries = db.getWebhookDeliveries({
+    webhookId: webhook ? webhook.id : null,
+    status,
+    page: parsePage(req.query.page)
+  });
+  return res.render("webhook-deliveries", {
+    pageTitle: req.t("deliveries.title"),
+    webhook,
+    status,
+    deliveries,
+    deliveryQuery: (overrides) => buildQuery({ webhook: webhook ? webhook.id : "", status, ...overrides })
   });
 });
 
+app.post("/admin/webhooks/deliveries/:id/retry", requireAuth, requireAdmin, writeLimiter, (req, res) => {
+  const delivery = db.retryWebhookDelivery(req.params.id);
+  setFlash(
+    req,
+    delivery ? "success" : "error",
+    req.t(delivery ? "flash.deliveryRetried" : "flash.deliveryNotRetryable")
+  );
+  return redirectBack(req, res, "/admin/webhooks/deliveries");
+});
+
 app.post("/admin/users/:id/role", requireAuth, requireAdmin, writeLimiter, (req, res) => {
   const userId = Number(req.params.id);
   const role = String(req.body.role || "").trim();
   if (!db.ROLES.includes(role)) {
-    setFlash(req, "error", "Invalid role.");
+    setFlash(req, "error", req.t("flash.invalidRole"));
     return res.redirect("/admin/users");
   }
   const target = db.getUserById(userId);
   if (!target) {
-    setFlash(req, "error", "User not found.");
+    setFlash(req, "error", req.t("flash.userNotFound"));
     return res.redirect("/admin/users");
   }
   if (target.id === req.currentUser.id && role !== "admin") {
-    setFlash(req, "error", "You cannot remove your own admin role.");
+    setFlash(req, "error", req.t("flash.cannotDemoteSelf"));
     return res.redirect("/admin/users");
   }
   db.updateUserRole(userId, role);
@@ -1086,14 +2051,35 @@ app.post("/admin/users/:id/role", requireAuth, requireAdmin, writeLimiter, (req,
     target_id: userId,
     notes: `Role set to ${role}`
   });
-  setFlash(req, "success", "Role updated.");
+  setFlash(req, "success", req.t("flash.roleUpdated"));
   return res.redirect("/admin/users");
 });
 
 app.use((req, res) => {
-  res.status(404).render("not-found", { pageTitle: "Not found" });
+  res.status(404).render("not-found", { pageTitle: req.t("notFound.title") });
 });
 
+function runWebhookDeliveries() {
+  webhookDispatcher.runDeliveries().catch((error) => {
+    // eslint-disable-next-line no-console
+    console.error("Webhook delivery job failed", error);
+  });
+}
+
+function runBackgroundJobs() {
+  db.publishDuePosts();
+  db.pruneWebhookDeliveries();
+  notificationMailer.runEmailJobs().catch((error) => {
+    // eslint-disable-next-line no-console
+    console.error("Notification email job failed", error);
+  });
+}
+
+runBackgroundJobs();
+setInterval(runBackgroundJobs, 60 * 1000).unref();
+setInterval(runWebhookDeliveries, WEBHOOK_POLL_INTERVAL_MS).unref();
+setInterval(db.compactStorage, STORAGE_COMPACT_INTERVAL_MS).unref();
+
 app.listen(PORT, () => {
   // eslint-disable-next-line no-console
   console.log(`viks-media is running on http://localhost:${PORT}`);
@@ -0,0 +1,97 @@
+// Readable ASCII slugs for titles written in Russian, Ukrainian, Belarusian or Latin scripts with diacritics.
+// Letters from other scripts are kept as they are so that a title never collapses into an empty slug.
+const CYRILLIC = {
+  а: "a",
+  б: "b",
+  в: "v",
+  г: "g",
+  д: "d",
+  е: "e",
+  ё: "yo",
+  ж: "zh",
+  з: "z",
+  и: "i",
+  й: "y",
+  к: "k",
+  л: "l",
+  м: "m",
+  н: "n",
+  о: "o",
+  п: "p",
+  р: "r",
+  с: "s",
+  т: "t",
+  у: "u",
+  ф: "f",
+  х: "kh",
+  ц: "ts",
+  ч: "ch",
+  ш: "sh",
+  щ: "shch",
+  ъ: "",
+  ы: "y",
+  ь: "",
+  э: "e",
+  ю: "yu",
+  я: "ya",
+  // Ukrainian and Belarusian
+  ґ: "g",
+  є: "ye",
+  і: "i",
+  ї: "yi",
+  ў: "u"
+};
+
+// Latin letters that Unicode does not decompose into a base letter and a diacritic.
+const LATIN_SPECIAL = {
+  ß: "ss",
+  æ: "ae",
+  œ: "oe",
+  ø: "o",
+  đ: "d",
+  ð: "d",
+  ł: "l",
+  þ: "th",
+  ı: "i"
+};
+
+const DEFAULT_MAX_LENGTH = 80;
+
+function transliterate(input) {
+  const lower = String(input || "")
+    .normalize("NFC")
+    .toLowerCase();
+  return Array.from(lower, (char) => CYRILLIC[char] ?? LATIN_SPECIAL[char] ?? char)
+    .join("")
+    .normalize("NFKD")
+    .replace(/\p{M}+/gu, "");
+}
+
+function slugify(input, { maxLength = DEFAULT_MAX_LENGTH } = {}) {
+  const slug = transliterate(input)
+    .replace(/['’ʼ`]+/g, "")
+    .replace(/[^\p{L}\p{N}]+/gu, "-")
+    .replace(/^-+|-+$/g, "");
+  if (slug.length <= maxLength) return slug;
+  // Cut on a word boundary when one is close enough, so a slug does not end in half a word.
+  const cut = slug.slice(0, maxLength + 1);
+  const boundary = cut.lastIndexOf("-");
+  return (boundary > maxLength / 2 ? cut.slice(0, boundary) : slug.slice(0, maxLength)).replace(/-+$/, "");
+}
+
+// Appends -2, -3, ... to a slug until isTaken stops reporting a collision.
+function uniqueSlug(base, isTaken) {
+  let slug = base;
+  let index = 1;
+  while (isTaken(slug)) {
+    index += 1;
+    slug = `${base}-${index}`;
+  }
+  return slug;
+}
+
+module.exports = {
+  slugify,
+  transliterate,
+  uniqueSlug
+};
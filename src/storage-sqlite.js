@@ -0,0 +1,95 @@
+const fs = require("fs");
+const path = require("path");
+const Database = require("better-sqlite3");
+const { createChangeTracker } = require("./storage");
+
+function assertTableName(name) {
+  if (!/^[a-z][a-z0-9_]*$/.test(name) || name === "meta") {
+    throw new Error(`Cannot store collection "${name}" in SQLite.`);
+  }
+  return name;
+}
+
+function createSqliteStorage({ dataDir, filePath = path.join(dataDir, "app.sqlite") }) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const db = new Database(filePath);
+  db.pragma("journal_mode = WAL");
+  db.pragma("synchronous = NORMAL");
+  db.exec("CREATE TABLE IF NOT EXISTS meta (key TEXT PRIMARY KEY, value TEXT NOT NULL)");
+  // Rows are only read back in bulk on load, so drop the unused json_extract indexes older versions created.
+  const staleIndexes = db
+    .prepare("SELECT name FROM sqlite_master WHERE type = 'index' AND sql LIKE '%json_extract%'")
+    .all();
+  for (const { name } of staleIndexes) db.exec(`DROP INDEX IF EXISTS "${name}"`);
+
+  const upsertMeta = db.prepare(
+    "INSERT INTO meta (key, value) VALUES (?, ?) ON CONFLICT(key) DO UPDATE SET value = excluded.value"
+  );
+  const statements = new Map();
+  const tracker = createChangeTracker();
+
+  function tableStatements(name) {
+    if (statements.has(name)) return statements.get(name);
+    const table = assertTableName(name);
+    db.exec(`CREATE TABLE IF NOT EXISTS "${table}" (id INTEGER PRIMARY KEY, data TEXT NOT NULL)`);
+    const prepared = {
+      all: db.prepare(`SELECT id, data FROM "${table}" ORDER BY id`),
+      upsert: db.prepare(
+        `INSERT INTO "${table}" (id, data) VALUES (?, ?) ON CONFLICT(id) DO UPDATE SET data = excluded.data`
+      ),
+      remove: db.prepare(`DELETE FROM "${table}" WHERE id = ?`)
+    };
+    statements.set(name, prepared);
+    return prepared;
+  }
+
+  function listTables() {
+    return db
+      .prepare("SELECT name FROM sqlite_master WHERE type = 'table' AND name != 'meta' ORDER BY name")
+      .all()
+      .map((row) => row.name);
+  }
+
+  function load() {
+    const metaRows = db.prepare("SELECT key, value FROM meta").all();
+    if (metaRows.length === 0) return null;
+    const state = {};
+    for (const row of metaRows) {
+      state[row.key] = JSON.parse(row.value);
+    }
+    for (const table of listTables()) {
+      state[table] = tableStatements(table)
+        .all.all()
+        .map((row) => JSON.parse(row.data));
+    }
+    tracker.remember(state);
+    return state;
+  }
+
+  const writeOps = db.transaction((ops) => {
+    for (const op of ops) {
+      if (op[0] === "meta") upsertMeta.run(op[1], op[2]);
+      else if (op[0] === "put") tableStatements(op[1]).upsert.run(op[2], op[3]);
+      else tableStatements(op[1]).remove.run(op[2]);
+    }
+  });
+
+  function save(state, changes = null) {
+    const ops = tracker.diff(state, changes);
+    if (ops.length > 0) writeOps(ops);
+  }
+
+  return {
+    name: "sqlite",
+    filePath,
+    load,
+    save,
+    close() {
+      db.close();
+    }
+  };
+}
+
+module.exports = {
+  createSqliteStorage
+};
@@ -0,0 +1,244 @@
+const fs = require("fs");
+const path = require("path");
+
+// Adapters expose load(), save(state, changes), close() and optionally compact(); array-valued keys are collections.
+
+const JOURNAL_COMPACT_AFTER = 1000;
+
+// Turns a save into row-level ops; rows are only serialized when the caller names them as changed.
+function createChangeTracker() {
+  const meta = new Map();
+  let loadedRows = new Map();
+
+  function remember(state) {
+    meta.clear();
+    loadedRows = new Map();
+    for (const [key, value] of Object.entries(state || {})) {
+      if (!Array.isArray(value)) {
+        meta.set(key, JSON.stringify(value));
+        continue;
+      }
+      const byId = new Map();
+      for (const row of value) {
+        if (row && Number.isInteger(row.id)) byId.set(row.id, JSON.stringify(row));
+      }
+      loadedRows.set(key, byId);
+    }
+  }
+
+  function diffAll(state, ops) {
+    for (const [key, value] of Object.entries(state)) {
+      if (!Array.isArray(value)) continue;
+      const previous = (loadedRows && loadedRows.get(key)) || new Map();
+      const seen = new Set();
+      for (const row of value) {
+        if (!row || !Number.isInteger(row.id)) continue;
+        const json = JSON.stringify(row);
+        seen.add(row.id);
+        if (previous.get(row.id) !== json) ops.push(["put", key, row.id, json]);
+      }
+      for (const id of previous.keys()) {
+        if (!seen.has(id)) ops.push(["del", key, id]);
+      }
+    }
+    loadedRows = null;
+  }
+
+  // Returns ops as ["meta", key, json], ["put", collection, id, json] and ["del", collection, id].
+  function diff(state, changes = null) {
+    const ops = [];
+    for (const [key, value] of Object.entries(state)) {
+      if (Array.isArray(value)) continue;
+      const json = JSON.stringify(value);
+      if (meta.get(key) !== json) {
+        ops.push(["meta", key, json]);
+        meta.set(key, json);
+      }
+    }
+    if (!changes) {
+      diffAll(state, ops);
+      return ops;
+    }
+    for (const [key, rows] of changes) {
+      for (const [id, row] of rows) {
+        ops.push(row ? ["put", key, id, JSON.stringify(row)] : ["del", key, id]);
+      }
+    }
+    return ops;
+  }
+
+  return { remember, diff };
+}
+
+function writeFileDurably(filePath, payload) {
+  const tempPath = `${filePath}.tmp`;
+  const fd = fs.openSync(tempPath, "w");
+  try {
+    fs.writeSync(fd, payload);
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+  fs.renameSync(tempPath, filePath);
+}
+
+function encodeJournalOp(op) {
+  if (op[0] === "meta") return `["meta",${JSON.stringify(op[1])},${op[2]}]`;
+  if (op[0] === "put") return `["put",${JSON.stringify(op[1])},${op[2]},${op[3]}]`;
+  return JSON.stringify(op);
+}
+
+// Replays journal entries over a loaded snapshot. Puts and deletes are keyed by id, so re-applying one is harmless.
+function replayJournal(state, entries) {
+  const collections = new Map();
+  const collection = (key) => {
+    if (!collections.has(key)) {
+      const rows = Array.isArray(state[key]) ? state[key] : [];
+      collections.set(key, new Map(rows.map((row) => [row && row.id, row])));
+    }
+    return collections.get(key);
+  };
+  for (const entry of entries) {
+    for (const op of entry.ops) {
+      if (op[0] === "meta") state[op[1]] = op[2];
+      else if (op[0] === "put") collection(op[1]).set(op[2], op[3]);
+      else if (op[0] === "del") collection(op[1]).delete(op[2]);
+    }
+  }
+  for (const [key, rows] of collections) {
+    state[key] = [...rows.values()];
+  }
+}
+
+// Snapshot in app.json plus an append-only journal of row changes, replayed on load and folded in by compact().
+function createJsonStorage({ dataDir, compactAfter = JOURNAL_COMPACT_AFTER }) {
+  const filePath = path.join(dataDir, "app.json");
+  const journalPath = path.join(dataDir, "app.journal");
+  fs.mkdirSync(dataDir, { recursive: true });
+
+  const tracker = createChangeTracker();
+  let journalFd = null;
+  let seq = 0;
+  let pendingEntries = 0;
+  let hasSnapshot = false;
+  let lastState = null;
+
+  function openJournal() {
+    if (journalFd === null) journalFd = fs.openSync(journalPath, "a");
+    return journalFd;
+  }
+
+  // Only the last line can be torn by a crash; an unreadable line before it means the journal is damaged.
+  function readJournal(snapshotSeq) {
+    if (!fs.existsSync(journalPath)) return [];
+    const raw = fs.readFileSync(journalPath);
+    const entries = [];
+    let offset = 0;
+    while (offset < raw.length) {
+      const newline = raw.indexOf(10, offset);
+      const end = newline === -1 ? raw.length : newline;
+      let entry = null;
+      try {
+        entry = JSON.parse(raw.toString("utf8", offset, end));
+      } catch {
+        entry = null;
+      }
+      if (!entry || !Number.isInteger(entry.seq) || !Array.isArray(entry.ops)) {
+        if (end + 1 < raw.length) {
+          throw new Error(`${journalPath} is corrupt at byte ${offset}; restore it from a backup before starting.`);
+        }
+        break;
+      }
+      if (newline === -1) break;
+      if (entry.seq > snapshotSeq) entries.push(entry);
+      offset = end + 1;
+    }
+    if (offset < raw.length) {
+      // A torn tail from a crash mid-append; drop it so later appends start on a clean line.
+      // eslint-disable-next-line no-console
+      console.warn(`Discarding ${raw.length - offset} unreadable bytes at the end of ${journalPath}`);
+      fs.truncateSync(journalPath, offset);
+    }
+    return entries;
+  }
+
+  function load() {
+    let state = null;
+    let snapshotSeq = 0;
+    if (fs.existsSync(filePath)) {
+      state = JSON.parse(fs.readFileSync(filePath, "utf8"));
+      snapshotSeq = Number(state.journal_seq) || 0;
+      delete state.journal_seq;
+      hasSnapshot = true;
+    }
+    const entries = readJournal(snapshotSeq);
+    if (entries.length > 0) {
+      state = state || {};
+      replayJournal(state, entries);
+    }
+    seq = entries.length > 0 ? entries[entries.length - 1].seq : snapshotSeq;
+    pendingEntries = entries.length;
+    tracker.remember(state);
+    return state;
+  }
+
+  function compact(state = lastState) {
+    if (!state) return false;
+    if (hasSnapshot && pendingEntries === 0) return false;
+    // The snapshot records the last folded entry, so a crash before the truncate below only replays no-ops.
+    writeFileDurably(filePath, JSON.stringify({ ...state, journal_seq: seq }, null, 2));
+    hasSnapshot = true;
+    fs.ftruncateSync(openJournal(), 0);
+    pendingEntries = 0;
+    return true;
+  }
+
+  function save(state, changes = null) {
+    lastState = state;
+    const ops = tracker.diff(state, changes);
+    if (!hasSnapshot || pendingEntries >= compactAfter) {
+      compact(state);
+      return;
+    }
+    if (ops.length === 0) return;
+    seq += 1;
+    const fd = openJournal();
+    fs.writeSync(fd, `{"seq":${seq},"ops":[${ops.map(encodeJournalOp).join(",")}]}\n`);
+    fs.fsyncSync(fd);
+    pendingEntries += 1;
+  }
+
+  return {
+    name: "json",
+    filePath,
+    journalPath,
+    load,
+    save,
+    compact() {
+      return compact();
+    },
+    close() {
+      if (journalFd !== null) fs.closeSync(journalFd);
+      journalFd = null;
+    }
+  };
+}
+
+const drivers = {
+  json: createJsonStorage,
+  sqlite: (options) => require("./storage-sqlite").createSqliteStorage(options)
+};
+
+function createStorage({ driver = process.env.STORAGE_DRIVER || "json", dataDir }) {
+  const factory = drivers[driver];
+  if (!factory) {
+    throw new Error(`Unknown storage driver "${driver}". Use one of: ${Object.keys(drivers).join(", ")}.`);
+  }
+  return factory({ dataDir });
+}
+
+module.exports = {
+  createStorage,
+  createJsonStorage,
+  createChangeTracker
+};
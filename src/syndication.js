@@ -0,0 +1,165 @@
+// RSS 2.0, Atom 1.0 and JSON Feed 1.1 renderers. They take a feed description built by the server:
+//   { title, description, homeUrl, feedUrls: { rss, atom, json }, updated, items: [...] }
+// where each item is { url, title, summary, contentHtml, published, updated, author, tags, enclosure }.
+const path = require("path");
+
+const FEED_FORMATS = {
+  rss: { label: "RSS", extension: "xml", contentType: "application/rss+xml; charset=utf-8", render: renderRss },
+  atom: {
+    label: "Atom",
+    extension: "atom",
+    contentType: "application/atom+xml; charset=utf-8",
+    render: renderAtom
+  },
+  json: {
+    label: "JSON Feed",
+    extension: "json",
+    contentType: "application/feed+json; charset=utf-8",
+    render: renderJsonFeed
+  }
+};
+
+const MIME_TYPES = {
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".png": "image/png",
+  ".gif": "image/gif",
+  ".webp": "image/webp",
+  ".avif": "image/avif",
+  ".mp4": "video/mp4",
+  ".webm": "video/webm"
+};
+
+function formatByExtension(extension) {
+  return Object.keys(FEED_FORMATS).find((key) => FEED_FORMATS[key].extension === extension) || null;
+}
+
+function escapeXml(value) {
+  return String(value == null ? "" : value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;")
+    .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, "");
+}
+
+// Enclosures need a real media file; video pages such as YouTube links have no file to enclose.
+function mediaEnclosure(mediaType, url) {
+  if (!url) return null;
+  let pathname = url;
+  try {
+    pathname = new URL(url).pathname;
+  } catch {
+    // Relative upload paths are used as they are.
+  }
+  const mimeType = MIME_TYPES[path.extname(pathname).toLowerCase()];
+  if (mimeType) return { url, type: mimeType };
+  return mediaType === "image" ? { url, type: "image/jpeg" } : null;
+}
+
+function renderRss(feed) {
+  const items = feed.items.map((item) =>
+    [
+      "<item>",
+      `<title>${escapeXml(item.title)}</title>`,
+      `<link>${escapeXml(item.url)}</link>`,
+      `<guid isPermaLink="true">${escapeXml(item.url)}</guid>`,
+      `<pubDate>${new Date(item.published).toUTCString()}</pubDate>`,
+      `<dc:creator>${escapeXml(item.author.name)}</dc:creator>`,
+      ...item.tags.map((tag) => `<category>${escapeXml(tag)}</category>`),
+      `<description>${escapeXml(item.summary)}</description>`,
+      `<content:encoded>${escapeXml(item.contentHtml)}</content:encoded>`,
+      item.enclosure
+        ? `<enclosure url="${escapeXml(item.enclosure.url)}" length="0" type="${escapeXml(item.enclosure.type)}" />`
+        : "",
+      "</item>"
+    ]
+      .filter(Boolean)
+      .join("\n")
+  );
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" ' +
+      'xmlns:content="http://purl.org/rss/1.0/modules/content/" xmlns:dc="http://purl.org/dc/elements/1.1/">',
+    "<channel>",
+    `<title>${escapeXml(feed.title)}</title>`,
+    `<link>${escapeXml(feed.homeUrl)}</link>`,
+    `<description>${escapeXml(feed.description)}</description>`,
+    `<atom:link href="${escapeXml(feed.feedUrls.rss)}" rel="self" type="application/rss+xml" />`,
+    `<lastBuildDate>${new Date(feed.updated).toUTCString()}</lastBuildDate>`,
+    ...items,
+    "</channel>",
+    "</rss>",
+    ""
+  ].join("\n");
+}
+
+function renderAtom(feed) {
+  const entries = feed.items.map((item) =>
+    [
+      "<entry>",
+      `<id>${escapeXml(item.url)}</id>`,
+      `<title>${escapeXml(item.title)}</title>`,
+      `<link rel="alternate" type="text/html" href="${escapeXml(item.url)}" />`,
+      `<published>${new Date(item.published).toISOString()}</published>`,
+      `<updated>${new Date(item.updated).toISOString()}</updated>`,
+      `<author><name>${escapeXml(item.author.name)}</name><uri>${escapeXml(item.author.url)}</uri></author>`,
+      ...item.tags.map((tag) => `<category term="${escapeXml(tag)}" />`),
+      `<summary>${escapeXml(item.summary)}</summary>`,
+      `<content type="html">${escapeXml(item.contentHtml)}</content>`,
+      item.enclosure
+        ? `<link rel="enclosure" href="${escapeXml(item.enclosure.url)}" type="${escapeXml(item.enclosure.type)}" />`
+        : "",
+      "</entry>"
+    ]
+      .filter(Boolean)
+      .join("\n")
+  );
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<feed xmlns="http://www.w3.org/2005/Atom">',
+    `<id>${escapeXml(feed.feedUrls.atom)}</id>`,
+    `<title>${escapeXml(feed.title)}</title>`,
+    `<subtitle>${escapeXml(feed.description)}</subtitle>`,
+    `<link rel="self" type="application/atom+xml" href="${escapeXml(feed.feedUrls.atom)}" />`,
+    `<link rel="alternate" type="text/html" href="${escapeXml(feed.homeUrl)}" />`,
+    `<updated>${new Date(feed.updated).toISOString()}</updated>`,
+    ...entries,
+    "</feed>",
+    ""
+  ].join("\n");
+}
+
+function renderJsonFeed(feed) {
+  return `${JSON.stringify(
+    {
+      version: "https://jsonfeed.org/version/1.1",
+      title: feed.title,
+      home_page_url: feed.homeUrl,
+      feed_url: feed.feedUrls.json,
+      description: feed.description,
+      items: feed.items.map((item) => ({
+        id: item.url,
+        url: item.url,
+        title: item.title,
+        summary: item.summary,
+        content_html: item.contentHtml,
+        date_published: new Date(item.published).toISOString(),
+        date_modified: new Date(item.updated).toISOString(),
+        authors: [{ name: item.author.name, url: item.author.url }],
+        tags: item.tags,
+        ...(item.enclosure && item.enclosure.type.startsWith("image/") ? { image: item.enclosure.url } : {}),
+        ...(item.enclosure ? { attachments: [{ url: item.enclosure.url, mime_type: item.enclosure.type }] } : {})
+      }))
+    },
+    null,
+    2
+  )}\n`;
+}
+
+module.exports = {
+  FEED_FORMATS,
+  formatByExtension,
+  mediaEnclosure
+};
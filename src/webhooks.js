@@ -0,0 +1,72 @@
+const crypto = require("crypto");
+const db = require("./db");
+
+const DELIVERY_TIMEOUT_MS = 10 * 1000;
+
+// Receivers verify a delivery by recomputing HMAC-SHA256(secret, `${timestamp}.${body}`) and comparing it with the
+// X-Viks-Signature header; the timestamp lets them reject replays of old deliveries.
+function signPayload(secret, timestamp, body) {
+  return `sha256=${crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex")}`;
+}
+
+function createWebhookDispatcher({ baseUrl, timeoutMs = DELIVERY_TIMEOUT_MS }) {
+  let running = false;
+
+  function buildBody(delivery) {
+    return JSON.stringify({
+      id: delivery.id,
+      event: delivery.event,
+      created_at: delivery.created_at,
+      site: baseUrl,
+      data: delivery.payload
+    });
+  }
+
+  async function deliver({ delivery, webhook }) {
+    const body = buildBody(delivery);
+    const timestamp = String(Math.floor(Date.now() / 1000));
+    try {
+      const response = await fetch(webhook.url, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "User-Agent": "viks-media-webhooks/1.0",
+          "X-Viks-Event": delivery.event,
+          "X-Viks-Delivery": String(delivery.id),
+          "X-Viks-Timestamp": timestamp,
+          "X-Viks-Signature": signPayload(webhook.secret, timestamp, body)
+        },
+        body,
+        redirect: "manual",
+        signal: AbortSignal.timeout(timeoutMs)
+      });
+      // The body is never used, but reading it lets the connection be reused.
+      await response.arrayBuffer().catch(() => null);
+      db.recordWebhookAttempt(delivery.id, { ok: response.ok, responseStatus: response.status });
+    } catch (error) {
+      const reason = error.name === "TimeoutError" ? `Timed out after ${timeoutMs / 1000}s` : error.message;
+      db.recordWebhookAttempt(delivery.id, { ok: false, error: (error.cause && error.cause.code) || reason });
+    }
+  }
+
+  async function runDeliveries() {
+    if (running) return;
+    running = true;
+    try {
+      for (const due of db.getDueWebhookDeliveries()) {
+        await deliver(due);
+      }
+    } finally {
+      running = false;
+    }
+  }
+
+  return {
+    runDeliveries
+  };
+}
+
+module.exports = {
+  createWebhookDispatcher,
+  signPayload
+};